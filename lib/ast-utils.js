@@ -0,0 +1,186 @@
+/**
+ * 各处理阶段共用的AST辅助函数
+ */
+
+const t = require('@babel/types');
+
+/**
+ * 检查路径是否已经不在AST中（自身或任一祖先节点被删除或被替换）
+ * 被删除或替换的子树中的引用不会自动从绑定的 referencePaths 中移除
+ * @param {Object} path - 节点路径
+ * @returns {boolean} - 是否已不在AST中
+ */
+function isRemovedPath(path) {
+  for (let current = path; current.parentPath; current = current.parentPath) {
+    if (current.removed) {
+      return true;
+    }
+    const parentNode = current.parentPath.node;
+    if (!parentNode) {
+      return true;
+    }
+    const attached = current.listKey
+      ? parentNode[current.listKey] && parentNode[current.listKey][current.key] === current.node
+      : parentNode[current.key] === current.node;
+    if (!attached) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * 节点被移动到新的位置（例如实参被复用到新构造的表达式中）之后，更新仍然指向旧位置的路径
+ * 绑定的 referencePaths 和调用点索引中的路径不会自动更新，继续使用会修改已经不在AST中的节点
+ * @param {Object} path - 移动后的节点路径
+ * @param {Map} [sitesByNode] - 调用节点到调用点信息（{ path }）的映射，其中的调用点路径会被更新
+ */
+function refreshMovedPaths(path, sitesByNode) {
+  const refreshReference = refPath => {
+    const binding = refPath.scope.getBinding(refPath.node.name);
+    if (!binding) {
+      return;
+    }
+    const i = binding.referencePaths.findIndex(ref => ref.node === refPath.node);
+    if (i !== -1) {
+      binding.referencePaths[i] = refPath;
+    }
+  };
+  const refreshCallSite = callPath => {
+    const site = sitesByNode && sitesByNode.get(callPath.node);
+    if (site) {
+      site.path = callPath;
+    }
+  };
+
+  if (path.isReferencedIdentifier()) {
+    refreshReference(path);
+  } else if (path.isCallExpression()) {
+    refreshCallSite(path);
+  }
+  path.traverse({
+    ReferencedIdentifier: refreshReference,
+    CallExpression: refreshCallSite
+  });
+}
+
+/**
+ * 检查表达式是否没有副作用（可以被丢弃或重复求值）
+ * @param {Object} node - AST节点
+ * @returns {boolean} - 是否没有副作用
+ */
+function isSideEffectFree(node) {
+  switch (node.type) {
+    case 'Identifier':
+    case 'NumericLiteral':
+    case 'StringLiteral':
+    case 'BooleanLiteral':
+    case 'NullLiteral':
+      return true;
+    case 'UnaryExpression':
+      return ['-', '+', '!', '~', 'void'].includes(node.operator) && isSideEffectFree(node.argument);
+    case 'BinaryExpression':
+      return ['+', '-', '*', '/', '%'].includes(node.operator) &&
+        isSideEffectFree(node.left) && isSideEffectFree(node.right);
+    default:
+      return false;
+  }
+}
+
+/**
+ * 获取成员表达式的属性名（arr.push 或 arr['push']）
+ * @param {Object} node - MemberExpression 节点
+ * @returns {string|null} - 属性名
+ */
+function getMemberPropertyName(node) {
+  if (!node.computed && node.property.type === 'Identifier') {
+    return node.property.name;
+  }
+  if (node.computed && node.property.type === 'StringLiteral') {
+    return node.property.value;
+  }
+  return null;
+}
+
+/**
+ * 找出可以删除的声明：声明的每个引用（包括重新赋值）要么已经被消除，要么位于另一个可以删除的声明内部
+ * 互相引用的一组声明只要没有外部引用，就会一起被删除
+ * @param {Array} candidates - 候选声明（包含 binding 和 path，path 为声明节点的路径）
+ * @param {Function} isReferenceGone - 判断引用路径是否已经被消除（例如所在的调用已被替换为常量）
+ * @returns {Set} - 可以删除的候选声明
+ */
+function findRemovableDeclarations(candidates, isReferenceGone) {
+  const removable = new Set(candidates.filter(info => info.binding));
+  const candidateByNode = new Map(candidates.map(info => [info.path.node, info]));
+  const ownersCache = new Map();
+
+  // 引用所在的候选声明（由内到外）
+  function getOwners(refPath) {
+    if (!ownersCache.has(refPath)) {
+      const owners = [];
+      for (let parent = refPath.parentPath; parent; parent = parent.parentPath) {
+        const owner = candidateByNode.get(parent.node);
+        if (owner) {
+          owners.push(owner);
+        }
+      }
+      ownersCache.set(refPath, owners);
+    }
+    return ownersCache.get(refPath);
+  }
+
+  let changed = true;
+  while (changed) {
+    changed = false;
+    removable.forEach(info => {
+      const refs = [...info.binding.referencePaths, ...info.binding.constantViolations];
+      const stillUsed = refs.some(ref =>
+        !isRemovedPath(ref) && !isReferenceGone(ref) && !getOwners(ref).some(owner => removable.has(owner))
+      );
+      if (stillUsed) {
+        removable.delete(info);
+        changed = true;
+      }
+    });
+  }
+
+  return removable;
+}
+
+/**
+ * 新节点沿用被替换节点的源码位置，生成的 source map 把新节点映射回原代码
+ * @param {Object} node - 新节点
+ * @param {Object} original - 被替换的节点
+ * @returns {Object} - 新节点
+ */
+function inheritLocation(node, original) {
+  if (!node.loc && original.loc) {
+    node.loc = original.loc;
+  }
+  return node;
+}
+
+/**
+ * 创建保留可读字符的字符串字面量（Babel 默认把非 ASCII 字符输出为 \uXXXX）
+ * 引号、反斜杠和控制字符由 JSON.stringify 转义，其他不可见字符（格式字符、空白、单独的代理项等）转义为 \uXXXX
+ * @param {string} value - 字符串
+ * @returns {Object} - StringLiteral 节点
+ */
+function createStringLiteral(value) {
+  const raw = JSON.stringify(value).replace(/(?! )[\p{C}\p{Z}]/gu, char =>
+    char.split('').map(unit => '\\u' + unit.charCodeAt(0).toString(16).toUpperCase().padStart(4, '0')).join('')
+  );
+  const node = t.stringLiteral(value);
+  node.extra = { rawValue: value, raw };
+  return node;
+}
+
+module.exports = {
+  createStringLiteral,
+  findRemovableDeclarations,
+  getMemberPropertyName,
+  inheritLocation,
+  isRemovedPath,
+  isSideEffectFree,
+  refreshMovedPaths
+};
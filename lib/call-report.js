@@ -0,0 +1,179 @@
+/**
+ * 调用报告：把 deobfuscate() 的结果整理为可以写入 JSON 文件的报告
+ *
+ *   {
+ *     file, summary,
+ *     passes:    [{ pass, changed, skippedReason, calls, replaced, skipped, statusCounts, skipReasons, elapsedTime }],
+ *     functions: [{ funcName, binding, declaration, calls, replaced, skipped, statusCounts, skipReasons, elapsedTime }],
+ *     calls:     [{ file, line, column, pass, funcName, binding, declaration, callExpression, args, status, result, error, awaited, elapsedTime, replaced, skipReason }]
+ *   }
+ *
+ * binding 为函数在源代码中的名称，declaration 为其声明在输入文件中的位置 { line, column }，
+ * 函数按名称和声明位置汇总并排序（同名函数在不同作用域中分别汇总），调用按轮次和提取顺序排列，同一输入两次生成的报告除耗时外相同，
+ * 可以直接比较不同版本的报告。参数和结果能用 JSON 准确表示时原样输出，
+ * 否则（undefined、NaN、-0、BigInt、正则表达式、无法传出沙箱的函数等）输出为 { type, text }
+ */
+
+const util = require('util');
+
+/**
+ * 描述值的类型
+ * @param {*} value - 值
+ * @returns {string} - 类型名：null、array、regexp、date 或 typeof 的结果
+ */
+function describeType(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (value instanceof RegExp) {
+    return 'regexp';
+  }
+  if (value instanceof Date) {
+    return 'date';
+  }
+  return typeof value;
+}
+
+/**
+ * 把值转换为 JSON 中的表示
+ * @param {*} value - 参数或调用结果
+ * @returns {*} - JSON 能准确表示的值原样返回，否则返回 { type, text }
+ */
+function toJsonValue(value) {
+  try {
+    const json = JSON.stringify(value);
+    if (json !== undefined && util.isDeepStrictEqual(JSON.parse(json), value)) {
+      return value;
+    }
+  } catch (error) {
+    // BigInt、循环引用等无法序列化的值按文本输出
+  }
+  return { type: describeType(value), text: util.inspect(value, { depth: 4, breakLength: Infinity }) };
+}
+
+/**
+ * 整理单个调用点的记录
+ * @param {Object} callResult - deobfuscate() 返回的 callResults 中的一项
+ * @param {string} file - 输入文件路径
+ * @returns {Object} - 报告中的调用记录；成功的调用有 result，失败的调用有 error
+ */
+function formatCall(callResult, file) {
+  const entry = {
+    file,
+    line: callResult.line,
+    column: callResult.column,
+    pass: callResult.pass,
+    funcName: callResult.funcName,
+    binding: callResult.binding,
+    declaration: callResult.declaration,
+    callExpression: callResult.callExpression,
+    args: callResult.args.map(toJsonValue),
+    status: callResult.status
+  };
+  if (callResult.status === 'ok') {
+    // 无法传出沙箱的结果只有类型
+    entry.result = callResult.valueType ? { type: callResult.valueType, text: null } : toJsonValue(callResult.value);
+  } else {
+    entry.error = callResult.error;
+  }
+  entry.awaited = callResult.awaited;
+  entry.elapsedTime = callResult.elapsedTime === undefined ? null : callResult.elapsedTime;
+  entry.replaced = callResult.replaced;
+  entry.skipReason = callResult.skipReason;
+  return entry;
+}
+
+/**
+ * 汇总一组调用记录
+ * @param {Array} calls - 报告中的调用记录
+ * @returns {Object} - { calls, replaced, skipped, statusCounts, skipReasons, elapsedTime }
+ */
+function summarizeCalls(calls) {
+  const statusCounts = {};
+  const skipReasons = {};
+  let replaced = 0;
+  let elapsedTime = 0;
+  calls.forEach(call => {
+    statusCounts[call.status] = (statusCounts[call.status] || 0) + 1;
+    if (call.replaced) {
+      replaced++;
+    } else {
+      skipReasons[call.skipReason] = (skipReasons[call.skipReason] || 0) + 1;
+    }
+    elapsedTime += call.elapsedTime || 0;
+  });
+  return {
+    calls: calls.length,
+    replaced,
+    skipped: calls.length - replaced,
+    statusCounts,
+    skipReasons,
+    elapsedTime
+  };
+}
+
+/**
+ * 比较两个函数汇总的顺序：先按名称，再按声明位置（没有位置的排在前面）
+ * @param {Object} a - 函数汇总
+ * @param {Object} b - 函数汇总
+ * @returns {number} - 排序比较结果
+ */
+function compareFunctions(a, b) {
+  if (a.binding !== b.binding) {
+    return a.binding < b.binding ? -1 : 1;
+  }
+  const positionA = a.declaration || { line: 0, column: 0 };
+  const positionB = b.declaration || { line: 0, column: 0 };
+  return (positionA.line || 0) - (positionB.line || 0) || (positionA.column || 0) - (positionB.column || 0);
+}
+
+/**
+ * 生成调用报告
+ * @param {Object} result - deobfuscate() 的返回值（report、callResults）
+ * @param {string} file - 输入文件路径
+ * @returns {Object} - 可以直接 JSON.stringify 的报告
+ */
+function buildCallReport(result, file) {
+  const calls = result.callResults.map(callResult => formatCall(callResult, file));
+
+  const passes = result.report.passes.map(({ pass, changed, skippedReason }) => ({
+    pass,
+    changed,
+    skippedReason,
+    ...summarizeCalls(calls.filter(call => call.pass === pass))
+  }));
+
+  const groups = new Map();
+  calls.forEach(call => {
+    const key = JSON.stringify([call.binding, call.declaration]);
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(call);
+  });
+  const functions = Array.from(groups.values(), group => ({
+    funcName: group[0].funcName,
+    binding: group[0].binding,
+    declaration: group[0].declaration,
+    ...summarizeCalls(group)
+  })).sort(compareFunctions);
+
+  return {
+    file,
+    summary: {
+      passes: passes.length,
+      functions: functions.length,
+      ...summarizeCalls(calls)
+    },
+    passes,
+    functions,
+    calls
+  };
+}
+
+module.exports = {
+  buildCallReport
+};
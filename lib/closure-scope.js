@@ -0,0 +1,130 @@
+/**
+ * 闭包变量提取：被提取的函数引用外层函数中的局部变量时，找出需要一起放入测试环境的局部声明
+ *
+ *   function f47() {
+ *     const vA = ["alpha", "beta"];
+ *     const vOffset = 100;
+ *     function f48(p) { return vA[p - vOffset]; }
+ *   }
+ *
+ * 提取 f48 时同时提取 vA 和 vOffset 的声明（局部声明的初始值引用的其他局部变量也会递归提取）。
+ * 只提取有初始值、从未被重新赋值的变量，以及函数和类的声明；
+ * 形参、解构、catch 参数、被重新赋值的变量在外层函数执行时才有确定的值，保持原样，
+ * 引用它们的调用在测试环境中抛出异常，不会被替换。顶层绑定不属于闭包，不在这里处理
+ */
+
+/**
+ * 检查路径是否位于另一个路径中（包括自身）
+ * @param {Object} path - 节点路径
+ * @param {Object} ancestor - 祖先节点路径
+ * @returns {boolean} - 是否位于其中
+ */
+function isWithin(path, ancestor) {
+  return path.node === ancestor.node || !!path.findParent(p => p.node === ancestor.node);
+}
+
+/**
+ * 检查表达式中是否有 await 或 yield（不包括嵌套函数中的），这样的初始值不能在测试环境的顶层执行
+ * @param {Object} path - 表达式路径
+ * @returns {boolean} - 是否有 await 或 yield
+ */
+function hasSuspension(path) {
+  if (path.isAwaitExpression() || path.isYieldExpression()) {
+    return true;
+  }
+  let found = false;
+  path.traverse({
+    'AwaitExpression|YieldExpression'(innerPath) {
+      found = true;
+      innerPath.stop();
+    },
+    Function(innerPath) {
+      innerPath.skip();
+    }
+  });
+  return found;
+}
+
+/**
+ * 查找代码引用的外层局部绑定（不包括代码自身中声明的绑定和顶层绑定）
+ * @param {Object} path - 被提取的函数或局部声明的路径
+ * @returns {Set} - Babel 作用域绑定
+ */
+function findFreeLocalBindings(path) {
+  const bindings = new Set();
+  path.traverse({
+    ReferencedIdentifier(refPath) {
+      const binding = refPath.scope.getBinding(refPath.node.name);
+      if (!binding || binding.scope.path.isProgram() ||
+          isWithin(binding.path, path) || isWithin(binding.scope.path, path)) {
+        return;
+      }
+      bindings.add(binding);
+    }
+  });
+  return bindings;
+}
+
+/**
+ * 获取局部绑定可以单独放入测试环境的声明
+ * @param {Object} binding - Babel 作用域绑定
+ * @returns {string|null} - 声明类型：function、class、variable；不能单独提取时返回 null
+ */
+function getClosureDeclarationType(binding) {
+  const path = binding.path;
+  if (!binding.constant) {
+    return null;
+  }
+  if (path.isFunctionDeclaration()) {
+    return 'function';
+  }
+  if (path.isClassDeclaration()) {
+    return 'class';
+  }
+  if (path.isVariableDeclarator() && path.get('id').isIdentifier() && path.node.init && !hasSuspension(path.get('init'))) {
+    return 'variable';
+  }
+  return null;
+}
+
+/**
+ * 收集被提取的函数需要的闭包声明，按源码位置排序（初始值中引用的局部声明排在前面）
+ * @param {Array} functions - 被提取的函数信息（name、binding，path 为 FunctionDeclaration 或 VariableDeclarator 的路径）
+ * @param {Object} config - 配置对象
+ * @returns {Array} - [{ name, binding, path, type }]，path 为 FunctionDeclaration、ClassDeclaration 或 VariableDeclarator 的路径
+ */
+function collectClosureDeclarations(functions, config) {
+  const extractedBindings = new Set(functions.map(funcInfo => funcInfo.binding));
+  const declarations = new Map();
+  const unresolved = new Set();
+  const pending = functions.map(funcInfo => ({ owner: funcInfo.name, path: funcInfo.path }));
+
+  while (pending.length > 0) {
+    const { owner, path } = pending.shift();
+    findFreeLocalBindings(path).forEach(binding => {
+      if (extractedBindings.has(binding) || declarations.has(binding) || unresolved.has(binding)) {
+        return;
+      }
+      const name = binding.identifier.name;
+      const type = getClosureDeclarationType(binding);
+      if (!type) {
+        unresolved.add(binding);
+        if (config.verbose) {
+          config.logger.log(`  [闭包] ${owner} 引用的局部变量 ${name} 无法单独提取（${binding.kind}${binding.constant ? '' : '，被重新赋值'}）`);
+        }
+        return;
+      }
+      declarations.set(binding, { name, binding, path: binding.path, type });
+      pending.push({ owner: name, path: binding.path });
+      if (config.verbose) {
+        config.logger.log(`  [闭包] ${owner} 引用的局部变量: ${name}`);
+      }
+    });
+  }
+
+  return Array.from(declarations.values()).sort((a, b) => a.path.node.start - b.path.node.start);
+}
+
+module.exports = {
+  collectClosureDeclarations
+};
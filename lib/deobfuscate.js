@@ -0,0 +1,2531 @@
+/**
+ * 运行时函数解密：提取混淆代码中的解密函数，在沙箱中执行常量参数调用，并用结果替换调用
+ *
+ * 对外提供 deobfuscate(source, options)，命令行工具 de.js 只是它的一层包装。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const { Worker } = require('worker_threads');
+const parser = require('@babel/parser');
+const traverse = require('@babel/traverse').default;
+const generate = require('@babel/generator').default;
+const t = require('@babel/types');
+const { TraceMap, originalPositionFor } = require('@jridgewell/trace-mapping');
+const { detectDecoderFunctions, isStringArrayExpression } = require('./detect-decoders');
+const { inlineForwardingWrappers } = require('./inline-wrappers');
+const { inlineProxyObjects } = require('./inline-proxies');
+const { unflattenControlFlow } = require('./unflatten-control-flow');
+const { isNoOpFunction, pruneDeadCode } = require('./prune-dead-code');
+const {
+  applyRotatedArrays,
+  generateRotationCaptures,
+  generateRotationStepFunction,
+  withRotationGuards
+} = require('./rotate-string-arrays');
+const { findRemovableDeclarations, inheritLocation } = require('./ast-utils');
+const { evaluateConstant, formatConstant } = require('./evaluate-constant');
+const { valueToNode } = require('./value-to-ast');
+const { ENV_PROFILES, generateEnvironmentCode } = require('./sandbox-env');
+const { collectClosureDeclarations } = require('./closure-scope');
+const { reverseStringExpressions } = require('./reverse-strings');
+const { foldStringExpressions } = require('./fold-strings');
+
+/**
+ * 默认配置
+ */
+const DEFAULT_OPTIONS = {
+  decryptStringReverse: true,       // 是否解密字符串反转表达式
+  foldStrings: true,                // 是否折叠字面量上的字符串运算（白名单中的内置函数、+ 拼接、转义序列）
+  decryptFunctionCalls: true,       // 是否解密函数调用
+  verbose: false,                   // 详细输出模式
+  debug: false,                     // 调试模式，记录运行时变量状态
+  traceLines: true,                 // 是否启用行级变量跟踪
+  outputDebug: null,                // 调试日志输出文件
+  testCodeOutput: null,             // 详细模式下保存测试代码的文件
+  disableReplace: false,            // 禁用常量函数替换（仅执行调试）
+  cleanupFunctions: 'none',         // 清理已解密的函数：none、comment、remove
+  interceptPattern: /f\d*/,         // 函数名匹配模式，为空时只使用结构识别
+  detectDecoders: true,             // 按代码结构识别解密函数（字符串数组、解密函数、包装函数）
+  inlineWrappers: true,             // 内联转发给解密函数的包装函数（需要结构识别）
+  emulateRotations: true,           // 在沙箱中执行字符串数组旋转函数，改写为旋转后的数组并删除旋转函数（需要结构识别）
+  inlineProxies: true,              // 调用替换之后内联代理对象（字符串常量和运算符包装）
+  unflattenControlFlow: true,       // 还原 "3|1|0|2".split("|") 分发的控制流平坦化
+  pruneDeadCode: true,              // 删除常量条件的不可达分支、跳转之后的语句和空操作函数
+  functionNamePattern: null,        // 指定要调试的函数名称
+  minArgs: 4,                       // 最小参数个数
+  maxArgs: 6,                       // 最大参数个数
+  timeout: 30000,                   // 沙箱总执行时间上限（毫秒）
+  callTimeout: 2000,                // 单个步骤的执行时间上限（毫秒）
+  maxMemory: 512,                   // 沙箱线程的堆内存上限（MB）
+  isolation: 'globals',             // 调用之间的隔离方式：none、globals、fresh
+  env: 'node',                      // 沙箱运行环境：node、browser、bare
+  envOverrides: null,               // 运行环境的覆盖配置：对象按属性深度合并到全局对象，字符串作为脚本执行
+  codeGeneration: true,             // 允许沙箱中的代码使用 eval、new Function 和 WebAssembly 编译
+  verify: null,                     // 重复执行验证结果：null 不验证，repeat 在同一上下文中逆序重复执行，fresh 在新上下文中重复执行
+  perturb: false,                   // 验证时扰动 Date 和 Math.random
+  maxResultSize: 200,               // 结果为数组或对象时最多包含的值的数量（嵌套计数），超出时不替换
+  passes: 1,                        // 最多处理的轮数，上一轮的输出作为下一轮的输入，代码不再变化时提前结束
+  sourceMap: false,                 // 生成从输入代码到输出代码的 source map（多轮处理时逐轮组合）
+  sourceFileName: 'input.js',       // source map 中输入代码的文件名
+  untilStable: false,               // 一直处理到代码不再变化（最多 MAX_STABLE_PASSES 轮），忽略 passes
+  logger: null                      // 日志输出对象（需提供 log 和 error），默认不输出
+};
+
+/**
+ * untilStable 模式的最大轮数，防止每轮输出都不同时无限循环
+ */
+const MAX_STABLE_PASSES = 20;
+
+/**
+ * 静默的日志输出对象
+ */
+const SILENT_LOGGER = {
+  log() {},
+  error() {}
+};
+
+/**
+ * 合并默认配置，并将字符串形式的正则表达式转换为 RegExp
+ * @param {Object} options - 调用方传入的配置
+ * @returns {Object} - 完整的配置对象
+ */
+function normalizeOptions(options = {}) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+
+  if (typeof config.interceptPattern === 'string') {
+    config.interceptPattern = config.interceptPattern ? new RegExp(config.interceptPattern) : null;
+  }
+  if (typeof config.functionNamePattern === 'string') {
+    config.functionNamePattern = new RegExp(config.functionNamePattern);
+  }
+  if (!config.logger) {
+    config.logger = SILENT_LOGGER;
+  }
+  if (!ENV_PROFILES.includes(config.env)) {
+    throw new Error(`未知的运行环境: ${config.env}（可选 ${ENV_PROFILES.join('、')}）`);
+  }
+
+  return config;
+}
+
+/**
+ * 检查函数名是否匹配拦截模式（未设置拦截模式时不匹配任何函数名）
+ * @param {string} funcName - 函数名
+ * @param {Object} config - 配置对象
+ * @returns {boolean} - 是否匹配
+ */
+function matchesInterceptPattern(funcName, config) {
+  return !!config.interceptPattern && config.interceptPattern.test(funcName);
+}
+
+/**
+ * 检查函数是否应该被处理
+ * @param {boolean} detected - 调用的函数是否由结构识别得到（不要求匹配拦截模式）
+ * @param {Object} config - 配置对象
+ */
+function shouldInterceptFunction(funcName, argsCount, detected, config) {
+  // 如果有指定函数名称，先检查是否匹配
+  if (config.functionNamePattern && !config.functionNamePattern.test(funcName)) {
+    return false;
+  }
+  
+  // 检查是否匹配拦截模式
+  if (!detected && !matchesInterceptPattern(funcName, config)) {
+    return false;
+  }
+  
+  // 放宽参数数量限制：如果函数是重要依赖，即使参数数量不符合也要提取
+  // 记录所有匹配拦截模式的函数，无论参数数量
+  if (config.verbose && (argsCount < config.minArgs || argsCount > config.maxArgs)) {
+    config.logger.log(`  [放宽限制] 函数 ${funcName} 参数数量 ${argsCount} 不符合要求 (${config.minArgs}-${config.maxArgs})，但因为匹配模式仍被提取`);
+  }
+  
+  return true;
+}
+
+/**
+ * 预处理AST：在建立索引之前还原字符串反序表达式、折叠字面量上的字符串运算，函数调用拦截在之后的阶段处理
+ * @param {Object} ast - Babel AST（会被直接修改）
+ * @param {Object} report - 处理报告（reversedStrings、foldedStrings 记录每处修改的位置和结果）
+ * @param {Object} config - 配置对象
+ * @returns {number} - 修改的表达式和字面量数量
+ */
+function preprocessAst(ast, report, config) {
+  let changedCount = 0;
+  try {
+    if (config.decryptStringReverse) {
+      report.reversedStrings = reverseStringExpressions(ast, config);
+      changedCount += report.reversedStrings.length;
+      config.logger.log(`  [字符串反序] 还原 ${report.reversedStrings.length} 处字符串反序表达式`);
+    }
+    // 反序之后折叠，反序得到的字符串可以继续参与拼接等运算
+    if (config.foldStrings) {
+      const { folded, decodedEscapes } = foldStringExpressions(ast, config);
+      report.foldedStrings = folded;
+      report.decodedEscapes = decodedEscapes;
+      changedCount += folded.length + decodedEscapes;
+      config.logger.log(`  [字符串折叠] 折叠 ${folded.length} 处字符串表达式, 解码 ${decodedEscapes} 个转义字符串`);
+    }
+  } catch (error) {
+    config.logger.error('代码预处理失败:', error.message);
+  }
+  if (changedCount > 0) {
+    // 预处理替换了节点，清除遍历缓存，建立索引时重新收集作用域绑定
+    traverse.cache.clear();
+  }
+  return changedCount;
+}
+
+/**
+ * 解析代码（整个处理流程只解析一次，后续阶段共用同一个AST）
+ * @param {string} code - 源代码
+ * @returns {Object} - Babel AST
+ */
+function parseCode(code) {
+  return parser.parse(code, {
+    sourceType: 'module',
+    allowImportExportEverywhere: true,
+    allowReturnOutsideFunction: true
+  });
+}
+
+/**
+ * 检查调用表达式是否是立即执行函数
+ * @param {Object} node - AST节点
+ * @returns {boolean} - 是否是立即执行函数
+ */
+function isImmediateFunctionCall(node) {
+  return node.type === 'CallExpression' && node.callee.type === 'FunctionExpression';
+}
+
+/**
+ * 提取的定义类型的中文描述
+ */
+const DECLARATION_TYPE_LABELS = {
+  declaration: '函数',
+  expression: '函数表达式',
+  array: '字符串数组'
+};
+
+/**
+ * 遍历一次AST，建立后续各阶段共用的索引
+ * @param {Object} ast - Babel AST
+ * @param {Object} config - 配置对象
+ * @returns {Object} - 索引：
+ *   functions 为所有具名的函数声明和函数表达式，
+ *   calls 为所有能取得函数名的调用点，
+ *   stringArrays 为字符串数组字面量，
+ *   immediateFunctions 为立即执行函数（statement 表示是否为独立的表达式语句），
+ *   objectLiterals 为初始值是对象字面量的变量声明，
+ *   dispatchLoops 为循环体以 switch 开始的 while/for 循环（控制流平坦化的候选），
+ *   exportedNames 为导出的函数名，
+ *   originalNoOpFunctions 为处理之前就是空操作的函数节点（死代码删除不删除它们）；
+ *   detected 为结构识别结果，declarations 和 callSites（需要处理的函数定义和调用点）由 selectInterceptTargets 填充
+ */
+function buildProgramIndex(ast, config) {
+  const index = {
+    functions: [],
+    calls: [],
+    stringArrays: [],
+    immediateFunctions: [],
+    objectLiterals: [],
+    dispatchLoops: [],
+    exportedNames: new Set(),
+    originalNoOpFunctions: new Set(),
+    declarations: [],
+    callSites: [],
+    detected: null
+  };
+
+  function addFunction(path, type) {
+    const funcName = path.node.id?.name;
+    if (!funcName) {
+      return;
+    }
+    const binding = getDeclarationBinding(path);
+    const funcNode = type === 'declaration' ? path.node : path.node.init;
+    if (isNoOpFunction(funcNode)) {
+      index.originalNoOpFunctions.add(funcNode);
+    }
+    index.functions.push({
+      name: funcName,
+      path: path,
+      type: type,
+      binding: binding,
+      key: getBindingKey(binding)
+    });
+  }
+
+  traverse(ast, {
+    FunctionDeclaration(path) {
+      addFunction(path, 'declaration');
+    },
+
+    VariableDeclarator(path) {
+      // 函数表达式和箭头函数（类方法、对象方法中的局部包装函数通常是 const fN = (...) => ...）
+      if (path.node.init && ['FunctionExpression', 'ArrowFunctionExpression'].includes(path.node.init.type)) {
+        addFunction(path, 'expression');
+      } else if (path.node.init && path.node.init.type === 'ObjectExpression') {
+        index.objectLiterals.push(path);
+      }
+    },
+
+    ArrayExpression(path) {
+      if (isStringArrayExpression(path.node)) {
+        index.stringArrays.push(path);
+      }
+    },
+
+    'WhileStatement|ForStatement'(path) {
+      const body = path.node.body;
+      if (body.type === 'BlockStatement' && body.body.length > 0 && body.body[0].type === 'SwitchStatement') {
+        index.dispatchLoops.push(path);
+      }
+    },
+
+    ExpressionStatement(path) {
+      if (isImmediateFunctionCall(path.node.expression)) {
+        index.immediateFunctions.push({ path, statement: true });
+      }
+    },
+
+    CallExpression(path) {
+      // 表达式语句形式的立即执行函数已经按语句记录，再记录一次会在测试环境中执行两次（旋转两遍字符串数组）
+      if (isImmediateFunctionCall(path.node) && !path.parentPath.isExpressionStatement()) {
+        index.immediateFunctions.push({ path, statement: false });
+      }
+
+      const funcName = extractFunctionName(path.node.callee);
+      if (funcName) {
+        index.calls.push({
+          id: getCallSiteKey(path.node),
+          name: funcName,
+          path: path,
+          detected: false
+        });
+      }
+    },
+
+    'ExportNamedDeclaration|ExportDefaultDeclaration'(path) {
+      const declaration = path.node.declaration;
+      if (declaration && declaration.type === 'FunctionDeclaration' && declaration.id) {
+        index.exportedNames.add(declaration.id.name);
+      }
+    }
+  });
+
+  if (config.verbose) {
+    config.logger.log(`  [索引] 函数定义 ${index.functions.length} 个, 调用点 ${index.calls.length} 个, 立即执行函数 ${index.immediateFunctions.length} 个`);
+  }
+
+  return index;
+}
+
+/**
+ * 选出需要处理的函数定义和调用点：函数名匹配拦截模式，或者由结构识别得到
+ * 结构识别得到的字符串数组只作为函数定义提取，对它的调用不会被替换
+ * @param {Object} index - buildProgramIndex 建立的索引（会被直接修改）
+ * @param {Object} config - 配置对象
+ */
+function selectInterceptTargets(index, config) {
+  const detectedKeys = new Set();
+  const callableBindings = new Set();
+  const providerBindings = new Set();
+  let detectedEntries = [];
+
+  if (index.detected) {
+    const { providers, decoders, wrappers } = index.detected;
+    providers.forEach(info => {
+      if (!info.key) {
+        info.key = getBindingKey(info.binding);
+      }
+    });
+
+    detectedEntries = [...providers, ...decoders, ...wrappers].filter(info => info.key);
+    detectedEntries.forEach(info => detectedKeys.add(info.key));
+    [...decoders, ...wrappers].forEach(info => callableBindings.add(info.binding));
+    providers.forEach(info => providerBindings.add(info.binding));
+  }
+
+  // 按源码位置排序，与只按函数名匹配时的提取顺序一致
+  const declarations = index.functions.filter(funcInfo =>
+    matchesInterceptPattern(funcInfo.name, config) || detectedKeys.has(funcInfo.key)
+  );
+  detectedEntries.forEach(info => {
+    if (info.type === 'array') {
+      declarations.push(info);
+    }
+  });
+  index.declarations = declarations.sort((a, b) => a.path.node.start - b.path.node.start);
+
+  const callableNames = new Set(Array.from(callableBindings, binding => binding.identifier.name));
+  index.callSites = index.calls.filter(site => {
+    if (site.path.node.callee.type === 'Identifier') {
+      const binding = site.path.scope.getBinding(site.name);
+      if (callableNames.has(site.name) && callableBindings.has(binding)) {
+        site.detected = true;
+        return true;
+      }
+      // 字符串数组函数返回的是共享的数组，即使函数名匹配拦截模式也不替换
+      if (providerBindings.has(binding)) {
+        return false;
+      }
+    }
+    return matchesInterceptPattern(site.name, config);
+  });
+}
+
+/**
+ * 收集初始化函数中调用的所有函数（包括嵌套依赖）
+ * @param {Object} index - buildProgramIndex 建立的索引
+ * @param {Object} config - 配置对象
+ * @returns {Set} - 初始化函数中调用的函数名集合
+ */
+function collectInitializationFunctionCalls(index, config) {
+  const initializationCalls = new Set();
+
+  // 每个函数定义内部（包括嵌套函数）调用的函数
+  const declarationNames = new Map(index.declarations.map(decl => [decl.path.node, decl.name]));
+  const calledByDeclaration = new Map();
+
+  index.callSites.forEach(site => {
+    if (isInitializationFunction(site.path)) {
+      if (!initializationCalls.has(site.name) && config.verbose) {
+        config.logger.log(`  [初始化依赖] ${site.name} 被初始化函数调用`);
+      }
+      initializationCalls.add(site.name);
+    }
+
+    for (let parent = site.path.parentPath; parent; parent = parent.parentPath) {
+      const ownerName = declarationNames.get(parent.node);
+      if (ownerName) {
+        if (!calledByDeclaration.has(ownerName)) {
+          calledByDeclaration.set(ownerName, new Set());
+        }
+        calledByDeclaration.get(ownerName).add(site.name);
+      }
+    }
+  });
+
+  // 递归分析依赖关系
+  const pending = Array.from(initializationCalls);
+  while (pending.length > 0) {
+    const funcName = pending.shift();
+    (calledByDeclaration.get(funcName) || new Set()).forEach(calledFuncName => {
+      if (!initializationCalls.has(calledFuncName)) {
+        initializationCalls.add(calledFuncName);
+        pending.push(calledFuncName);
+        if (config.verbose) {
+          config.logger.log(`  [嵌套依赖] ${funcName} 调用 ${calledFuncName}`);
+        }
+      }
+    });
+  }
+
+  if (config.verbose && initializationCalls.size > 0) {
+    config.logger.log(`  [依赖分析完成] 共找到 ${initializationCalls.size} 个依赖函数: ${Array.from(initializationCalls).join(', ')}`);
+  }
+
+  return initializationCalls;
+}
+
+/**
+ * 拓扑排序算法
+ * @param {Map} graph - 依赖图，key为函数名，value为依赖的函数名集合
+ * @returns {Array} - 拓扑排序后的函数名数组
+ */
+function topologicalSort(graph) {
+  const visited = new Set();
+  const visiting = new Set();
+  const result = [];
+  
+  function visit(node) {
+    if (visiting.has(node)) {
+      throw new Error(`发现循环依赖: ${node}`);
+    }
+    
+    if (!visited.has(node)) {
+      visiting.add(node);
+      
+      // 先访问所有依赖节点
+      const dependencies = graph.get(node) || new Set();
+      for (const dep of dependencies) {
+        if (graph.has(dep)) {
+          visit(dep);
+        }
+      }
+      
+      visiting.delete(node);
+      visited.add(node);
+      result.push(node);
+    }
+  }
+  
+  // 对图中的每个节点进行排序
+  for (const node of graph.keys()) {
+    visit(node);
+  }
+  
+  return result;
+}
+
+/**
+ * 获取函数定义对应的作用域绑定
+ * @param {Object} path - FunctionDeclaration、ClassDeclaration 或 VariableDeclarator 的AST路径
+ * @returns {Object|null} - Babel 作用域绑定
+ */
+function getDeclarationBinding(path) {
+  const funcName = path.node.id?.name;
+  if (!funcName) {
+    return null;
+  }
+  // 函数/类声明的名字绑定在外层作用域，path.scope 是函数或类自身的作用域
+  const scope = path.isFunctionDeclaration() || path.isClassDeclaration() ? path.parentPath.scope : path.scope;
+  return scope.getBinding(funcName) || null;
+}
+
+/**
+ * 生成绑定的唯一键（以声明节点在源码中的位置标识）
+ * 同一份代码多次解析时，同一声明得到的键相同
+ * @param {Object} binding - Babel 作用域绑定
+ * @returns {string|null} - 绑定键
+ */
+function getBindingKey(binding) {
+  if (!binding || typeof binding.path.node.start !== 'number') {
+    return null;
+  }
+  return `${binding.identifier.name}@${binding.path.node.start}`;
+}
+
+/**
+ * 生成调用点的唯一键（以调用表达式在源码中的位置标识）
+ * @param {Object} node - CallExpression 节点
+ * @returns {string|null} - 调用点键
+ */
+function getCallSiteKey(node) {
+  if (typeof node.start !== 'number' || typeof node.end !== 'number') {
+    return null;
+  }
+  return `${node.start}:${node.end}`;
+}
+
+/**
+ * 获取对象属性或类成员的键名
+ * @param {Object} node - ObjectProperty、ObjectMethod 或 ClassMethod 节点
+ * @returns {string|null} - 键名
+ */
+function getPropertyKeyName(node) {
+  if (!node.computed && node.key.type === 'Identifier') {
+    return node.key.name;
+  }
+  if (node.key.type === 'StringLiteral') {
+    return node.key.value;
+  }
+  return null;
+}
+
+/**
+ * 检查接收者声明中是否定义了指定的方法
+ * @param {Object} declarationPath - VariableDeclarator 或 ClassDeclaration 的AST路径
+ * @param {string} methodName - 方法名
+ * @param {boolean} isInstance - 是否为类的实例方法
+ * @returns {boolean} - 是否定义了该方法
+ */
+function hasReceiverMethod(declarationPath, methodName, isInstance) {
+  const node = declarationPath.node;
+
+  if (declarationPath.isVariableDeclarator() && node.init && node.init.type === 'ObjectExpression') {
+    return node.init.properties.some(prop => {
+      if (getPropertyKeyName(prop) !== methodName) {
+        return false;
+      }
+      return prop.type === 'ObjectMethod' ||
+        (prop.type === 'ObjectProperty' && ['FunctionExpression', 'ArrowFunctionExpression'].includes(prop.value.type));
+    });
+  }
+
+  if (declarationPath.isClassDeclaration()) {
+    return node.body.body.some(member =>
+      member.type === 'ClassMethod' &&
+      member.kind === 'method' &&
+      member.static === !isInstance &&
+      getPropertyKeyName(member) === methodName
+    );
+  }
+
+  return false;
+}
+
+/**
+ * 解析成员调用（obj.fN(...)、obj["fN"](...)、this.fN(...)）的接收者对象
+ * @param {Object} calleePath - MemberExpression 的AST路径
+ * @returns {Object|null} - 接收者的作用域绑定，以及是否需要以类实例作为接收者
+ */
+function resolveMemberReceiver(calleePath) {
+  const methodName = extractFunctionName(calleePath.node);
+  const objectPath = calleePath.get('object');
+  let declarationPath = null;
+  let isInstance = false;
+
+  if (!methodName) {
+    return null;
+  }
+
+  if (objectPath.isIdentifier()) {
+    // obj.fN(...)：对象字面量变量或类的静态方法
+    const binding = objectPath.scope.getBinding(objectPath.node.name);
+    declarationPath = binding ? binding.path : null;
+  } else if (objectPath.isThisExpression()) {
+    // this.fN(...)：沿箭头函数向外找到真正提供 this 的函数
+    const funcPath = objectPath.findParent(p => p.isFunction() && !p.isArrowFunctionExpression());
+    if (!funcPath) {
+      return null;
+    }
+
+    if (funcPath.isClassMethod()) {
+      declarationPath = funcPath.parentPath.parentPath;
+      isInstance = !funcPath.node.static;
+    } else {
+      const objectExpressionPath = funcPath.isObjectMethod()
+        ? funcPath.parentPath
+        : (funcPath.parentPath.isObjectProperty() ? funcPath.parentPath.parentPath : null);
+      if (objectExpressionPath && objectExpressionPath.isObjectExpression()) {
+        declarationPath = objectExpressionPath.parentPath;
+      }
+    }
+  }
+
+  if (!declarationPath || !(declarationPath.isVariableDeclarator() || declarationPath.isClassDeclaration())) {
+    return null;
+  }
+
+  const binding = getDeclarationBinding(declarationPath);
+  if (!binding || binding.path.node !== declarationPath.node) {
+    return null;
+  }
+
+  if (!hasReceiverMethod(declarationPath, methodName, isInstance)) {
+    return null;
+  }
+
+  return { binding, isInstance };
+}
+
+/**
+ * 为同名的不同绑定分配测试环境中的唯一别名
+ * @param {Array} allFunctions - 提取的函数信息（包含 name 和 key）
+ * @returns {Map} - 绑定键到别名的映射
+ */
+function assignBindingAliases(allFunctions) {
+  const bindingAliases = new Map();
+  const nameCounts = new Map();
+
+  allFunctions.forEach(funcInfo => {
+    nameCounts.set(funcInfo.name, (nameCounts.get(funcInfo.name) || 0) + 1);
+  });
+
+  const nameIndexes = new Map();
+  allFunctions.forEach(funcInfo => {
+    if (nameCounts.get(funcInfo.name) === 1) {
+      bindingAliases.set(funcInfo.key, funcInfo.name);
+      return;
+    }
+    const index = (nameIndexes.get(funcInfo.name) || 0) + 1;
+    nameIndexes.set(funcInfo.name, index);
+    bindingAliases.set(funcInfo.key, `${funcInfo.name}__${index}`);
+  });
+
+  return bindingAliases;
+}
+
+/**
+ * 获取绑定的所有标识符节点（声明、引用和重新赋值）
+ * @param {Object} binding - Babel 作用域绑定
+ * @returns {Set} - 标识符节点集合
+ */
+function getBindingIdentifierNodes(binding) {
+  const name = binding.identifier.name;
+  const nodes = new Set([binding.identifier]);
+
+  binding.referencePaths.forEach(referencePath => {
+    if (referencePath.isIdentifier({ name })) {
+      nodes.add(referencePath.node);
+    }
+  });
+  binding.constantViolations.forEach(violationPath => {
+    (violationPath.getOuterBindingIdentifiers(true)[name] || []).forEach(node => nodes.add(node));
+  });
+
+  return nodes;
+}
+
+/**
+ * 在别名下生成测试环境代码：临时把同名绑定的标识符改为别名，生成结束后恢复，源码AST保持不变
+ * @param {Array} allFunctions - 提取的函数信息（包含 binding 和 key）
+ * @param {Map} bindingAliases - 绑定键到别名的映射
+ * @param {Function} generateCode - 在重命名状态下执行的代码生成函数
+ * @param {Object} config - 配置对象
+ * @returns {*} - generateCode 的返回值
+ */
+function generateWithBindingAliases(allFunctions, bindingAliases, generateCode, config) {
+  const renamedNodes = [];
+
+  allFunctions.forEach(funcInfo => {
+    const alias = bindingAliases.get(funcInfo.key);
+    if (alias === funcInfo.binding.identifier.name) {
+      return;
+    }
+    getBindingIdentifierNodes(funcInfo.binding).forEach(node => {
+      renamedNodes.push({ node, name: node.name });
+      node.name = alias;
+    });
+    if (config.verbose) {
+      config.logger.log(`  [作用域重命名] ${funcInfo.key} -> ${alias}`);
+    }
+  });
+
+  try {
+    return generateCode();
+  } finally {
+    renamedNodes.forEach(({ node, name }) => {
+      node.name = name;
+    });
+  }
+}
+
+/**
+ * 提取匹配的函数定义（包含依赖关系）
+ * 同名函数按作用域绑定区分，每个绑定在测试环境中使用独立的别名
+ * @param {Object} index - buildProgramIndex 建立的索引
+ * @param {Object} config - 配置对象
+ * @returns {Object} - 包含提取的函数代码、闭包声明代码、函数列表、绑定别名和立即执行函数代码
+ */
+function extractFunctionDefinitions(index, config) {
+  try {
+    const functionCodeMap = new Map();
+    const functionNames = new Set();
+
+    // 匹配的函数不限制参数数量（因为依赖关系更重要）
+    index.declarations.forEach(funcInfo => {
+      functionNames.add(funcInfo.name);
+      if (config.verbose) {
+        config.logger.log(`  [收集] ${DECLARATION_TYPE_LABELS[funcInfo.type]}: ${funcInfo.name}`);
+      }
+    });
+
+    // 收集初始化函数（包括立即执行函数）中调用的函数
+    const initializationCalls = collectInitializationFunctionCalls(index, config);
+    
+    if (config.verbose) {
+      initializationCalls.forEach(funcName => {
+        if (!functionNames.has(funcName)) {
+          config.logger.log(`  [关键依赖] 函数 ${funcName} 被初始化函数调用，但未找到定义`);
+        }
+      });
+    }
+
+    // 收集成员调用（obj.fN(...)、this.fN(...)）的接收者对象，测试环境中需要以它们作为 this 调用
+    const receivers = [];
+    const receiverKeys = new Set();
+    index.callSites.forEach(site => {
+      if (site.path.node.callee.type !== 'MemberExpression') {
+        return;
+      }
+      const receiver = resolveMemberReceiver(site.path.get('callee'));
+      const key = receiver ? getBindingKey(receiver.binding) : null;
+      if (!key || receiverKeys.has(key)) {
+        return;
+      }
+      receiverKeys.add(key);
+      receivers.push({
+        name: receiver.binding.identifier.name,
+        node: receiver.binding.path.node,
+        binding: receiver.binding,
+        type: receiver.binding.path.isClassDeclaration() ? 'class' : 'object',
+        key: key
+      });
+      if (config.verbose) {
+        config.logger.log(`  [收集] 成员调用接收者: ${receiver.binding.identifier.name} (${site.name})`);
+      }
+    });
+
+    // 同名函数按绑定区分，在别名下生成函数、接收者和立即执行函数的代码
+    const boundFunctions = index.declarations.filter(funcInfo => funcInfo.key);
+
+    // 嵌套函数引用的外层局部变量（闭包）在测试环境中以顶层声明提供，与函数一样按绑定分配别名
+    const closures = collectClosureDeclarations(boundFunctions, config);
+    closures.forEach(closureInfo => {
+      closureInfo.key = getBindingKey(closureInfo.binding);
+    });
+
+    const aliasedBindings = [...boundFunctions, ...receivers, ...closures];
+    const bindingAliases = assignBindingAliases(aliasedBindings);
+
+    // 简单策略：先提取所有函数定义，按发现的顺序
+    const extractedFunctions = [];
+    const receiverCodeMap = new Map();
+    const closureCodeMap = new Map();
+    let immediateFunctions = [];
+
+    generateWithBindingAliases(aliasedBindings, bindingAliases, () => {
+      boundFunctions.forEach(funcInfo => {
+        const alias = bindingAliases.get(funcInfo.key);
+        const functionCode = generate(funcInfo.path.node).code;
+        
+        extractedFunctions.push(alias);
+        functionCodeMap.set(alias, functionCode);
+        
+        if (config.verbose) {
+          config.logger.log(`  [提取] ${DECLARATION_TYPE_LABELS[funcInfo.type]}: ${alias}`);
+        }
+      });
+
+      // 闭包变量的初始值可能依赖外层函数的运行状态，初始化失败时保持 undefined，不影响其他定义
+      closures.forEach(closureInfo => {
+        const alias = bindingAliases.get(closureInfo.key);
+        const closureCode = closureInfo.type === 'variable'
+          ? `var ${alias};\ntry {\n  ${alias} = ${generate(closureInfo.path.node.init).code};\n} catch (e) {}`
+          : generate(closureInfo.path.node).code;
+        closureCodeMap.set(alias, closureCode);
+      });
+
+      // 接收者统一生成为赋值语句，便于在测试环境中单独捕获初始化异常
+      receivers.forEach(receiverInfo => {
+        const alias = bindingAliases.get(receiverInfo.key);
+        const receiverCode = generate(receiverInfo.node).code;
+        receiverCodeMap.set(alias, receiverInfo.type === 'class' ? `${alias} = ${receiverCode}` : receiverCode);
+      });
+
+      // 旋转函数在测试环境中限制旋转次数
+      const rotations = config.emulateRotations && index.detected ? index.detected.rotations : [];
+      immediateFunctions = withRotationGuards(rotations, () => extractImmediateFunctions(index, config));
+    }, config);
+    
+    if (config.verbose && extractedFunctions.length > 0) {
+      config.logger.log(`  [提取完成] 共提取 ${extractedFunctions.length} 个函数: ${extractedFunctions.join(', ')}`);
+    }
+    if (closureCodeMap.size > 0) {
+      config.logger.log(`  [闭包] 提取 ${closureCodeMap.size} 个局部声明: ${Array.from(closureCodeMap.keys()).join(', ')}`);
+    }
+
+    return {
+      functions: extractedFunctions,
+      functionCodeMap: functionCodeMap,
+      closureCodeMap: closureCodeMap,
+      receiverCodeMap: receiverCodeMap,
+      bindingAliases: bindingAliases,
+      immediateFunctions: immediateFunctions
+    };
+  } catch (error) {
+    config.logger.error('函数提取失败:', error.message);
+    return { functions: [], functionCodeMap: new Map(), closureCodeMap: new Map(), receiverCodeMap: new Map(), bindingAliases: new Map(), immediateFunctions: [] };
+  }
+}
+
+/**
+ * 提取调用的常量参数（字面量、常量表达式、模板字符串、以字面量初始化的 const 变量等）
+ * @param {Array} argPaths - 参数路径列表
+ * @returns {Array|null} - 参数值列表，任一参数不是常量时返回 null
+ */
+function extractConstantArguments(argPaths) {
+  const args = [];
+  for (const argPath of argPaths) {
+    const { confident, value } = evaluateConstant(argPath);
+    if (!confident) {
+      return null;
+    }
+    args.push(value);
+  }
+  return args;
+}
+
+/**
+ * 检查是否是初始化函数调用（应该跳过）
+ * 立即执行函数（包括它的参数）中的调用在加载时执行，例如字符串数组旋转函数中的解密调用；
+ * 顶层的 do-while 循环和 try 块同样是加载时的初始化模式。
+ * 普通函数、类方法、getter、对象方法中的 do-while 和 try 是业务代码，其中的调用不是初始化
+ * @param {Object} path - AST路径
+ * @returns {boolean} - 是否是初始化函数
+ */
+function isInitializationFunction(path) {
+  // 检查父级上下文：如果在立即执行函数内部
+  if (path.findParent(p => isImmediateFunctionCall(p.node))) {
+    return true;
+  }
+  
+  // 检查是否在顶层的 do-while 循环或 try 块中（向外查找时先遇到函数则不是）
+  const owner = path.findParent(p => p.isFunction() || p.isDoWhileStatement() || p.isTryStatement());
+  return !!owner && !owner.isFunction() && !owner.getFunctionParent();
+}
+
+/**
+ * 生成立即执行函数代码（在别名重命名状态下调用）
+ * @param {Object} index - buildProgramIndex 建立的索引
+ * @param {Object} config - 配置对象
+ * @returns {Array} - 立即执行函数代码列表
+ */
+function extractImmediateFunctions(index, config) {
+  const immediateFunctions = [];
+
+  index.immediateFunctions.forEach(({ path, statement }) => {
+    try {
+      if (statement) {
+        // 直接使用完整的表达式语句
+        const immediateFunctionCode = generate(path.node).code;
+        immediateFunctions.push(immediateFunctionCode);
+        
+        if (config.verbose) {
+          config.logger.log(`  [提取] 立即执行函数: ${immediateFunctionCode.substring(0, 100)}...`);
+        }
+        return;
+      }
+
+      // 确保语法正确：添加必要的括号
+      const functionExprCode = generate(path.node.callee).code;
+      const argsCode = generate(path.node).code.substring(functionExprCode.length);
+      
+      // 正确包装： (function(){})()
+      const immediateFunctionCode = `(${functionExprCode})${argsCode}`;
+      immediateFunctions.push(immediateFunctionCode + ';');
+      
+      if (config.verbose) {
+        config.logger.log(`  [提取] 立即执行函数(包装): ${immediateFunctionCode.substring(0, 100)}...`);
+      }
+    } catch (error) {
+      if (config.verbose) {
+        config.logger.log(`  [警告] 提取立即执行函数失败: ${error.message}`);
+      }
+    }
+  });
+  
+  return immediateFunctions;
+}
+
+/**
+ * 为函数代码添加简单的跟踪（调试模式）
+ * @param {string} functionCode - 原始函数代码
+ * @param {string} functionName - 函数名称
+ * @param {Object} config - 配置对象
+ * @returns {string} - 添加了跟踪代码的函数
+ */
+function instrumentFunctionWithTracing(functionCode, functionName, config) {
+  if (!config.debug) {
+    return functionCode; // 调试模式未启用，返回原始代码
+  }
+  
+  try {
+    // 使用更安全的方法：只在函数声明时添加跟踪
+    // 对于函数声明：function f123() { ... }、async function f123() { ... }
+    if (/^(async\s+)?function\b/.test(functionCode)) {
+      // 找到函数体的开始位置
+      const bodyStart = functionCode.indexOf('{');
+      if (bodyStart === -1) {
+        return functionCode; // 无法找到函数体，返回原始代码
+      }
+      
+      // 在函数体开始处插入跟踪代码
+      const beforeBody = functionCode.substring(0, bodyStart + 1);
+      const afterBody = functionCode.substring(bodyStart + 1);
+      
+      const traceCode = `
+  // [TRACE] Function ${functionName} started
+  if (typeof globalTraceLog !== 'undefined') {
+    globalTraceLog.push({ type: 'func_start', func: '${functionName}' });
+  }
+  `;
+      
+      return beforeBody + traceCode + afterBody;
+    }
+    
+    // 对于函数表达式：var f123 = function() { ... }
+    if (functionCode.includes('= function')) {
+      const bodyStart = functionCode.indexOf('{');
+      if (bodyStart === -1) {
+        return functionCode;
+      }
+      
+      const beforeBody = functionCode.substring(0, bodyStart + 1);
+      const afterBody = functionCode.substring(bodyStart + 1);
+      
+      const traceCode = `
+  // [TRACE] Function ${functionName} started
+  if (typeof globalTraceLog !== 'undefined') {
+    globalTraceLog.push({ type: 'func_start', func: '${functionName}' });
+  }
+  `;
+      
+      return beforeBody + traceCode + afterBody;
+    }
+    
+    return functionCode; // 不支持的函数格式，返回原始代码
+  } catch (error) {
+    if (config.verbose) {
+      config.logger.log(`  [警告] 函数 ${functionName} 跟踪代码插入失败: ${error.message}`);
+    }
+    return functionCode; // 出错时返回原始代码
+  }
+}
+
+/**
+ * 从AST节点提取函数名
+ * @param {Object} callee - AST调用表达式节点
+ * @returns {string|null} - 函数名
+ */
+function extractFunctionName(callee) {
+  if (callee.type === 'Identifier') {
+    // 直接标识符调用: f123(...)
+    return callee.name;
+  } else if (callee.type === 'MemberExpression') {
+    // 计算属性调用: obj["f123"](...)
+    if (callee.computed) {
+      return callee.property.type === 'StringLiteral' ? callee.property.value : null;
+    }
+    
+    // 成员表达式调用: obj.f123(...) 或 this.f123(...)
+    if (callee.property.type === 'Identifier') {
+      const propertyName = callee.property.name;
+      
+      // 检查是否是 JavaScript 保留关键字
+      const reservedKeywords = ['default', 'function', 'var', 'let', 'const', 'if', 'else', 'for', 'while', 'do', 'switch', 'case', 'break', 'continue', 'return', 'this', 'typeof', 'instanceof', 'new', 'delete', 'void', 'in', 'try', 'catch', 'finally', 'throw', 'class', 'extends', 'super', 'import', 'export', 'null', 'true', 'false', 'undefined', 'NaN', 'Infinity'];
+      
+      if (reservedKeywords.includes(propertyName)) {
+        // 对于保留关键字，返回 null 表示不处理这种调用
+        return null;
+      }
+      
+      return propertyName;
+    }
+  }
+  return null;
+}
+
+/**
+ * 取得绑定的声明位置
+ * @param {Object} binding - Babel 作用域绑定
+ * @returns {Object|null} - { line, column }（列号从 1 开始），没有位置信息时为 null
+ */
+function getDeclarationPosition(binding) {
+  const loc = binding.identifier.loc;
+  return loc ? { line: loc.start.line, column: loc.start.column + 1 } : null;
+}
+
+/**
+ * 从索引的调用点中提取实际的函数调用表达式
+ * @param {Object} index - buildProgramIndex 建立的索引
+ * @param {Map} bindingAliases - 绑定键到测试环境别名的映射
+ * @param {Object} config - 配置对象
+ * @returns {Array} - 函数调用表达式列表（每个调用点绑定到其作用域中的函数声明）
+ */
+function extractActualFunctionCalls(index, bindingAliases, config) {
+  try {
+    const actualCalls = [];
+
+    // 将调用绑定到其作用域中实际解析到的函数声明
+    function recordCall(callPath, callSiteKey, funcName, args) {
+      const callee = callPath.node.callee;
+      let alias = null;
+      let receiver = null;
+      let bindingName = null;
+      let declaration = null;
+
+      if (callee.type === 'Identifier') {
+        const binding = callPath.scope.getBinding(callee.name);
+        alias = bindingAliases.get(getBindingKey(binding));
+        if (alias) {
+          bindingName = callee.name;
+          declaration = getDeclarationPosition(binding);
+        }
+      } else if (callee.type === 'MemberExpression') {
+        // 成员调用：以接收者对象（或类实例）作为 this 调用对应方法
+        const resolved = resolveMemberReceiver(callPath.get('callee'));
+        const receiverAlias = resolved ? bindingAliases.get(getBindingKey(resolved.binding)) : null;
+        if (receiverAlias) {
+          receiver = {
+            alias: receiverAlias,
+            method: funcName,
+            isInstance: resolved.isInstance
+          };
+          const member = `${resolved.isInstance ? '.prototype' : ''}.${funcName}`;
+          alias = `${receiverAlias}${member}`;
+          bindingName = `${resolved.binding.identifier.name}${member}`;
+          declaration = getDeclarationPosition(resolved.binding);
+        }
+      }
+
+      if (!alias) {
+        if (config.verbose) {
+          config.logger.log(`  [跳过] 无法解析调用绑定: ${callPath.toString()}`);
+        }
+        return;
+      }
+
+      actualCalls.push({
+        id: callSiteKey,
+        callExpression: callPath.toString(),
+        funcName: funcName,
+        alias: alias,
+        bindingName: bindingName,
+        declaration: declaration,
+        receiver: receiver,
+        args: args,
+        node: callPath.node,
+        path: callPath
+      });
+    }
+
+    index.callSites.forEach(site => {
+      const path = site.path;
+      const funcName = site.name;
+
+      if (!site.id || !shouldInterceptFunction(funcName, path.node.arguments.length, site.detected, config)) {
+        return;
+      }
+
+      // 检查是否是初始化函数（应该跳过）
+      if (isInitializationFunction(path)) {
+        if (config.verbose) {
+          config.logger.log(`  [跳过] 初始化函数调用: ${funcName}(${path.node.arguments.length}参数)`);
+        }
+        return;
+      }
+      
+      // 只有当所有参数都是常量时才记录
+      const args = extractConstantArguments(path.get('arguments'));
+      if (args) {
+        recordCall(path, site.id, funcName, args);
+      }
+    });
+
+    return actualCalls;
+  } catch (error) {
+    config.logger.error('提取函数调用失败:', error.message);
+    return [];
+  }
+}
+
+/**
+ * 生成函数测试代码，基于实际的函数调用
+ * 测试代码按执行步骤拆分，每个立即执行函数和每个调用在沙箱中单独执行并单独计时
+ * @param {Map} functionCodeMap - 函数代码映射（键为绑定别名）
+ * @param {Map} closureCodeMap - 闭包声明代码映射（键为绑定别名）
+ * @param {Array} actualCalls - 实际的函数调用列表
+ * @param {Array} immediateFunctionCodes - 按绑定别名生成的立即执行函数代码
+ * @param {Map} receiverCodeMap - 成员调用接收者的初始化代码（键为绑定别名）
+ * @param {Object} config - 配置对象
+ * @returns {Object} - 测试代码结构：environment、prelude、definitions、immediateFunctions、receivers、calls
+ */
+function generateFunctionTestCode(functionCodeMap, closureCodeMap, actualCalls, immediateFunctionCodes, receiverCodeMap, config) {
+  const prelude = `
+// 结果的文本表示（循环引用、BigInt 等无法序列化的结果只输出类型）
+function describeResult(result) {
+  try {
+    return JSON.stringify(result);
+  } catch (e) {
+    return typeof result;
+  }
+}
+
+// 记录成功的调用（awaited 表示结果是 Promise 完成后的值）
+function recordResult(callId, callStr, args, result, startTime, awaited) {
+  const elapsedTime = Date.now() - startTime;
+  
+  // 记录调用结果
+  if (typeof globalResults !== 'undefined') {
+    globalResults.set(callId, result);
+  }
+  if (awaited && typeof globalAwaitedResults !== 'undefined') {
+    globalAwaitedResults.add(callId);
+  }
+  
+  // 记录调用信息（调试模式）
+  if (typeof globalCallLog !== 'undefined') {
+    globalCallLog.push({
+      id: callId,
+      call: callStr,
+      args: args,
+      result: result,
+      awaited: awaited,
+      timestamp: Date.now(),
+      elapsedTime: elapsedTime
+    });
+  }
+  
+  // 立即输出日志，避免死循环时看不到进度
+  console.log('[执行成功] ' + callStr + ' -> ' + (awaited ? 'Promise ' : '') + describeResult(result) + ' (' + elapsedTime + 'ms)');
+}
+
+// 记录失败的调用
+function recordError(callId, callStr, args, e, startTime) {
+  const elapsedTime = Date.now() - startTime;
+  
+  // 异常信息在上下文中转换为字符串，工作线程不读取被测代码抛出的对象
+  let message;
+  try {
+    const value = e && e.message;
+    message = typeof value === 'string' && value ? value : String(e);
+  } catch (error) {
+    message = '无法读取的异常';
+  }
+  
+  // 记录错误信息（调试模式）
+  if (typeof globalCallLog !== 'undefined') {
+    globalCallLog.push({
+      id: callId,
+      call: callStr,
+      args: args,
+      error: message,
+      timestamp: Date.now(),
+      elapsedTime: elapsedTime
+    });
+  }
+  
+  // 立即输出错误日志，避免死循环时看不到进度
+  console.log('[执行失败] ' + callStr + ' -> ' + message + ' (' + elapsedTime + 'ms)');
+  if (e.stack) {
+    console.log('[错误堆栈] ' + e.stack.substring(0, 500));
+  }
+}
+
+// 安全的函数包装器（结果按调用点记录，receiver 为成员调用的 this）
+// 结果是 thenable 时记录完成后的值：微任务在每个调用步骤结束前执行完（受单步超时限制），
+// 步骤结束时仍未完成的 Promise（例如等待定时器）不记录结果
+function safeCall(func, args, callId, callStr, receiver) {
+  const startTime = Date.now();
+  try {
+    const result = func.apply(receiver, args);
+    if (result !== null && (typeof result === 'object' || typeof result === 'function') && typeof result.then === 'function') {
+      Promise.resolve(result).then(
+        value => recordResult(callId, callStr, args, value, startTime, true),
+        e => recordError(callId, callStr, args, e instanceof Error ? e : new Error(String(e)), startTime)
+      );
+    } else {
+      recordResult(callId, callStr, args, result, startTime, false);
+    }
+    return true;
+  } catch (e) {
+    recordError(callId, callStr, args, e, startTime);
+    return false;
+  }
+}
+${config.emulateRotations ? generateRotationStepFunction() : ''}`;
+
+  // 添加所有函数定义（可能包含跟踪代码），在立即执行函数之前定义以保持声明提升的语义
+  let definitions = '';
+  functionCodeMap.forEach((code, funcName) => {
+    // 如果启用调试模式，为函数添加跟踪代码
+    let finalCode = code;
+    if (config.debug && config.traceLines) {
+      finalCode = instrumentFunctionWithTracing(code, funcName, config);
+    }
+    definitions += finalCode + '\n';
+  });
+
+  // 闭包声明放在函数定义之后：初始值可能调用函数表达式形式的定义
+  closureCodeMap.forEach((code, alias) => {
+    definitions += `// 闭包变量: ${alias}\n${code}\n`;
+  });
+
+  // 添加立即执行函数到测试环境中（初始化环境，例如字符串数组旋转）
+  const immediateFunctions = immediateFunctionCodes.map((immediateFunc, index) => ({
+    label: `立即执行函数 ${index + 1}: ${immediateFunc.replace(/\s+/g, ' ').substring(0, 80)}`,
+    code: immediateFunc
+  }));
+
+  // 添加成员调用的接收者对象（单个接收者初始化失败不影响其他调用）
+  let receivers = '';
+  receiverCodeMap.forEach((code, alias) => {
+    receivers += `
+try {
+  ${code};
+} catch (e) {
+  console.log("接收者 ${alias} 初始化失败: " + e.message);
+}
+`;
+  });
+
+  // 生成基于实际调用的测试代码，每个调用的完成值表示是否执行成功
+  const calls = actualCalls.map(call => {
+    const argsString = `[${call.args.map(formatConstant).join(', ')}]`;
+    let guard = `typeof ${call.alias} === 'function'`;
+    let funcExpr = call.alias;
+    let receiverExpr = 'undefined';
+    
+    if (call.receiver) {
+      // 成员调用：类实例方法以不执行构造函数的原型实例作为 this
+      const { alias, method, isInstance } = call.receiver;
+      const owner = isInstance ? `${alias}.prototype` : alias;
+      funcExpr = `${owner}[${JSON.stringify(method)}]`;
+      receiverExpr = isInstance ? `Object.create(${alias}.prototype)` : alias;
+      guard = `typeof ${alias} !== 'undefined' && ${alias} !== null && typeof ${funcExpr} === 'function'`;
+    }
+    
+    return {
+      id: call.id,
+      label: call.callExpression.replace(/\s+/g, ' '),
+      code: `
+// 测试调用: ${call.callExpression.replace(/\s+/g, ' ')} -> ${call.alias}
+if (${guard}) {
+  safeCall(${funcExpr}, ${argsString}, ${JSON.stringify(call.id)}, ${JSON.stringify(call.callExpression)}, ${receiverExpr});
+} else {
+  console.log("函数 ${call.alias} 不存在");
+  false;
+}
+`
+    };
+  });
+
+  return {
+    environment: generateEnvironmentCode(config),
+    prelude,
+    definitions,
+    immediateFunctions,
+    receivers,
+    rotations: [],
+    calls
+  };
+}
+
+/**
+ * 将分步骤的测试代码合并为单个脚本（用于保存和语法检查）
+ * @param {Object} testCode - generateFunctionTestCode 生成的测试代码结构
+ * @returns {string} - 合并后的脚本
+ */
+function composeTestScript(testCode) {
+  return [
+    '// 运行环境',
+    testCode.environment,
+    testCode.prelude,
+    '// 函数定义',
+    testCode.definitions,
+    '// 执行立即函数（初始化环境）',
+    ...testCode.immediateFunctions.map(step => `// ${step.label}\n${step.code}`),
+    '// 成员调用接收者',
+    testCode.receivers,
+    '// 读取旋转后的字符串数组',
+    ...testCode.rotations.map(step => `${step.code};`),
+    '// 测试实际的函数调用',
+    ...testCode.calls.map(step => step.code)
+  ].join('\n');
+}
+
+/**
+ * 应用基于调用点的替换（直接修改共享的AST）
+ * @param {Array} actualCalls - 实际的函数调用列表（包含调用点路径）
+ * @param {Map} callExpressionMap - 调用点键到调用结果（status、value）的映射
+ * @param {Object} config - 配置对象
+ * @returns {Object} - { replacedIds: 已替换的调用点键, skipped: 因结果无法写成字面量（unrepresentable）、过大（oversized）或 Promise 没有被 await（unawaited）而跳过的调用数量,
+ *   skipReasons: 未替换的调用点键到原因的映射（disabled、not-executed、unrepresentable、unawaited、oversized、replace-failed，调用失败时为调用状态） }
+ */
+function applyCallExpressionReplacements(actualCalls, callExpressionMap, config) {
+  const replacedIds = new Set();
+  const skipped = { unrepresentable: 0, oversized: 0, unawaited: 0 };
+  const skipReasons = new Map();
+
+  // 如果禁用替换，不修改AST
+  if (config.disableReplace) {
+    actualCalls.forEach(call => skipReasons.set(call.id, 'disabled'));
+    return { replacedIds, skipped, skipReasons };
+  }
+
+  actualCalls.forEach(call => {
+    const callResult = callExpressionMap.get(call.id);
+    if (!callResult) {
+      skipReasons.set(call.id, 'not-executed');
+      return;
+    }
+
+    const callExpression = call.callExpression;
+    // 只替换成功且结果可以传出沙箱的调用
+    if (callResult.status !== 'ok') {
+      skipReasons.set(call.id, callResult.status);
+      if (config.verbose) {
+        config.logger.log(`  [跳过] ${callExpression} -> 调用${CALL_STATUS_LABELS[callResult.status]}: ${callResult.error}`);
+      }
+      return;
+    }
+    if (!callResult.cloneable || !callResult.literal) {
+      skipped.unrepresentable++;
+      skipReasons.set(call.id, 'unrepresentable');
+      if (config.verbose) {
+        config.logger.log(`  [跳过] ${callExpression} -> 无法写成字面量的结果类型: ${callResult.cloneable ? util.inspect(callResult.value, { depth: 0 }) : callResult.valueType}`);
+      }
+      return;
+    }
+    
+    // Promise 的完成值替换整个 await 表达式；没有被 await 的调用在原代码中得到的是 Promise，不能替换
+    let targetPath = call.path;
+    if (callResult.awaited) {
+      const parentPath = call.path.parentPath;
+      if (!parentPath.isAwaitExpression() || parentPath.node.argument !== call.path.node) {
+        skipped.unawaited++;
+        skipReasons.set(call.id, 'unawaited');
+        if (config.verbose) {
+          config.logger.log(`  [跳过] ${callExpression} -> 结果是 Promise，调用没有被 await`);
+        }
+        return;
+      }
+      targetPath = parentPath;
+    }
+    
+    // 根据结果创建对应的字面量节点
+    const { node: replacementNode, size } = valueToNode(callResult.value, config);
+    if (!replacementNode) {
+      skipped.oversized++;
+      skipReasons.set(call.id, 'oversized');
+      config.logger.log(`  [跳过] ${callExpression} -> 结果过大: ${size} 个值，超过上限 ${config.maxResultSize}`);
+      return;
+    }
+    
+    try {
+      targetPath.replaceWith(inheritLocation(replacementNode, targetPath.node));
+      replacedIds.add(call.id);
+    } catch (error) {
+      config.logger.error(`AST替换失败: ${callExpression} -> ${error.message}`);
+      skipReasons.set(call.id, 'replace-failed');
+      return;
+    }
+    
+    if (config.verbose) {
+      config.logger.log(`  [替换] ${callResult.awaited ? 'await ' : ''}${callExpression} -> ${generate(replacementNode, { compact: true }).code}`);
+    }
+  });
+
+  if (config.verbose) {
+    config.logger.log(`  [替换完成] 替换了 ${replacedIds.size} 处函数调用`);
+  }
+
+  return { replacedIds, skipped, skipReasons };
+}
+
+/**
+ * 分析哪些函数和立即执行函数可以被清理
+ * 函数按作用域绑定分析：所有引用都位于已替换的调用、可以清理的立即执行函数或其他可以清理的函数中时才清理
+ * @param {Object} index - buildProgramIndex 建立的索引（AST 已完成调用替换）
+ * @param {Set} replacedIds - 已替换的调用点键
+ * @param {Array} actualCalls - 实际调用列表
+ * @param {Object} config - 配置对象
+ * @returns {Object} - 返回可以清理的函数定义和立即执行函数语句的路径
+ */
+function analyzeFunctionsForCleanup(index, replacedIds, actualCalls, config) {
+  const functionsToCleanup = new Set();
+  const immediateFunctionsToCleanup = new Set();
+  
+  try {
+    // 分析立即执行函数是否可以清理：其中的匹配调用都已经被替换
+    // 不包含匹配调用的立即执行函数与解密无关（例如整个文件的包装函数），保持原样
+    const statementPaths = new Map();
+    index.immediateFunctions.forEach(({ path, statement }) => {
+      if (statement) {
+        statementPaths.set(path.node, { path, callCount: 0, remainingCount: 0 });
+      }
+    });
+
+    index.callSites.forEach(site => {
+      const remaining = !replacedIds.has(site.id);
+      for (let parent = site.path.parentPath; parent; parent = parent.parentPath) {
+        const entry = statementPaths.get(parent.node);
+        if (entry) {
+          entry.callCount++;
+          if (remaining) {
+            entry.remainingCount++;
+          }
+        }
+      }
+    });
+
+    statementPaths.forEach(({ path, callCount, remainingCount }) => {
+      if (callCount === 0) {
+        return;
+      }
+      const immediateFunctionCode = generate(path.node).code;
+      if (remainingCount > 0) {
+        if (config.verbose) {
+          config.logger.log(`  [清理分析] 立即执行函数中还有 ${remainingCount} 个未替换的调用: ${immediateFunctionCode.substring(0, 100)}...`);
+        }
+        return;
+      }
+      immediateFunctionsToCleanup.add(path);
+      if (config.verbose) {
+        config.logger.log(`  [清理分析] 可以清理的立即执行函数: ${immediateFunctionCode.substring(0, 100)}...`);
+      }
+    });
+
+    // 候选函数：结构识别得到的解密相关函数，以及至少有一个调用被替换的函数
+    // 没有被替换过调用的普通函数即使没有引用也保持原样（可能通过全局名称被外部使用）
+    const replacedCallNodes = new Set();
+    const replacedBindings = new Set();
+    actualCalls.forEach(call => {
+      if (replacedIds.has(call.id)) {
+        replacedCallNodes.add(call.node);
+        if (call.node.callee.type === 'Identifier') {
+          replacedBindings.add(call.path.scope.getBinding(call.node.callee.name));
+        }
+      }
+    });
+    const detectedBindings = new Set();
+    if (index.detected) {
+      const { providers, decoders, wrappers } = index.detected;
+      [...providers, ...decoders, ...wrappers].forEach(info => detectedBindings.add(info.binding));
+    }
+
+    const candidates = index.declarations.filter(decl => {
+      if (!decl.binding || !(detectedBindings.has(decl.binding) || replacedBindings.has(decl.binding))) {
+        return false;
+      }
+      // 跳过导出的函数
+      if (index.exportedNames.has(decl.name)) {
+        if (config.verbose) {
+          config.logger.log(`  [清理分析] 跳过导出的函数: ${decl.name}`);
+        }
+        return false;
+      }
+      return true;
+    });
+
+    const cleanedStatements = new Set(Array.from(immediateFunctionsToCleanup, path => path.node));
+    const isReferenceGone = ref =>
+      (ref.key === 'callee' && replacedCallNodes.has(ref.parent)) ||
+      !!ref.findParent(p => cleanedStatements.has(p.node));
+
+    findRemovableDeclarations(candidates, isReferenceGone).forEach(decl => {
+      functionsToCleanup.add(decl);
+      if (config.verbose) {
+        config.logger.log(`  [清理分析] 可以清理的${DECLARATION_TYPE_LABELS[decl.type]}: ${decl.name} (引用 ${decl.binding.referencePaths.length} 处均已消除)`);
+      }
+    });
+
+  } catch (error) {
+    if (config.verbose) {
+      config.logger.log(`  [警告] 清理分析失败: ${error.message}`);
+    }
+  }
+  
+  return {
+    functions: functionsToCleanup,
+    immediateFunctions: immediateFunctionsToCleanup
+  };
+}
+
+/**
+ * 将语句替换为注释（删除节点，注释保留在相邻语句上）
+ * @param {Object} path - 要删除的节点路径
+ * @param {string} title - 注释标题
+ */
+function replaceWithComment(path, title) {
+  const code = generate(path.node).code;
+  // 变量声明只有一个声明符时，删除声明符会同时删除整个声明语句
+  const commentTarget = path.isVariableDeclarator() ? path.parentPath.node : path.node;
+  // leading 注释插入在已有注释之前，先加代码再加标题
+  t.addComment(commentTarget, 'leading', code.replace(/\/\*/g, '/\\*').replace(/\*\//g, '*\\/'));
+  t.addComment(commentTarget, 'leading', ` [解密清理] ${title} `);
+  path.remove();
+}
+
+/**
+ * 清理已解密的函数和立即执行函数（注释或删除）
+ * @param {Object} index - buildProgramIndex 建立的索引
+ * @param {Object} cleanupData - 清理数据
+ * @param {string} cleanupMode - 清理模式：comment 或 remove
+ * @param {Object} config - 配置对象
+ * @returns {number} - 清理的节点数量
+ */
+function cleanupDecryptedFunctions(index, cleanupData, cleanupMode, config) {
+  const { functions: functionsToCleanup, immediateFunctions: immediateFunctionsToCleanup } = cleanupData;
+  
+  if ((functionsToCleanup.size === 0 && immediateFunctionsToCleanup.size === 0) || cleanupMode === 'none') {
+    return 0;
+  }
+
+  let functionCleanupCount = 0;
+  let immediateFunctionCleanupCount = 0;
+
+  // 清理普通函数
+  functionsToCleanup.forEach(({ name: funcName, path, type }) => {
+    if (path.removed) {
+      return;
+    }
+    const label = DECLARATION_TYPE_LABELS[type];
+    try {
+      if (cleanupMode === 'comment') {
+        replaceWithComment(path, `已解密的${label}: ${funcName}`);
+      } else if (cleanupMode === 'remove') {
+        path.remove();
+      }
+      functionCleanupCount++;
+      
+      if (config.verbose) {
+        config.logger.log(`  [清理] ${cleanupMode === 'comment' ? '注释' : '删除'}${label}: ${funcName}`);
+      }
+    } catch (error) {
+      config.logger.error(`清理函数失败: ${funcName} -> ${error.message}`);
+    }
+  });
+
+  // 清理立即执行函数
+  immediateFunctionsToCleanup.forEach(path => {
+    if (path.removed) {
+      return;
+    }
+    const immediateFunctionCode = generate(path.node).code;
+    try {
+      if (cleanupMode === 'comment') {
+        replaceWithComment(path, '初始化函数（已完成解密）');
+      } else if (cleanupMode === 'remove') {
+        path.remove();
+      }
+      immediateFunctionCleanupCount++;
+      
+      if (config.verbose) {
+        config.logger.log(`  [清理] ${cleanupMode === 'comment' ? '注释' : '删除'}立即执行函数: ${immediateFunctionCode.substring(0, 100)}...`);
+      }
+    } catch (error) {
+      config.logger.error(`清理立即执行函数失败: ${error.message}`);
+    }
+  });
+
+  if (functionCleanupCount > 0 || immediateFunctionCleanupCount > 0) {
+    config.logger.log(`  [清理完成] ${cleanupMode === 'comment' ? '注释' : '删除'}了 ${functionCleanupCount} 个函数和 ${immediateFunctionCleanupCount} 个立即执行函数`);
+  }
+
+  return functionCleanupCount + immediateFunctionCleanupCount;
+}
+
+/**
+ * 分析函数调用差异
+ * @param {Array} callLog - 函数调用日志
+ * @param {Array} actualCalls - 实际调用列表
+ * @param {Object} config - 配置对象
+ */
+function analyzeFunctionCallDifferences(callLog, actualCalls, config) {
+  if (callLog.length === 0) {
+    config.logger.log(`  [分析] 未收集到函数调用数据`);
+    return;
+  }
+  
+  config.logger.log(`\n  [函数调用分析] 调用结果统计:`);
+  const funcStats = {};
+  
+  callLog.forEach(call => {
+    const funcName = call.call.split('(')[0];
+    if (!funcStats[funcName]) {
+      funcStats[funcName] = { success: 0, error: 0, results: [] };
+    }
+    
+    if (call.error) {
+      funcStats[funcName].error++;
+      config.logger.log(`    [错误] ${call.call} -> ${call.error}`);
+    } else {
+      funcStats[funcName].success++;
+      funcStats[funcName].results.push(call.result);
+      
+      if (config.verbose) {
+        config.logger.log(`    [成功] ${call.call} -> ${JSON.stringify(call.result)}`);
+      }
+    }
+  });
+  
+  // 统计每个函数的结果
+  Object.entries(funcStats).forEach(([funcName, stats]) => {
+    config.logger.log(`\n    ${funcName}:`);
+    config.logger.log(`      成功调用: ${stats.success} 次`);
+    config.logger.log(`      失败调用: ${stats.error} 次`);
+    
+    // 分析返回值差异
+    if (stats.results.length > 1) {
+      const uniqueResults = [...new Set(stats.results.map(r => JSON.stringify(r)))];
+      if (uniqueResults.length > 1) {
+        config.logger.log(`      [注意] 不同调用返回了不同结果:`);
+        uniqueResults.forEach((result, index) => {
+          config.logger.log(`        结果 ${index + 1}: ${result}`);
+        });
+      }
+    }
+  });
+  
+  // 显示实际调用与执行调用的对比
+  config.logger.log(`\n  [调用对比] 预期调用 ${actualCalls.length} 次, 实际执行 ${callLog.length} 次`);
+  if (actualCalls.length !== callLog.length) {
+    config.logger.log(`    [警告] 调用次数不匹配！可能的原因:`);
+    config.logger.log(`      - 函数依赖缺失`);
+    config.logger.log(`      - 函数执行错误`);
+    config.logger.log(`      - 函数定义不完整`);
+  }
+}
+
+/**
+ * 保存调试日志到文件
+ * @param {Array} callLog - 函数调用日志
+ * @param {string} outputPath - 输出文件路径
+ * @param {Object} config - 配置对象
+ */
+function saveDebugLogs(callLog, outputPath, config) {
+  try {
+    const debugData = {
+      timestamp: new Date().toISOString(),
+      callLog: callLog,
+      summary: {
+        totalCalls: callLog.length,
+        successfulCalls: callLog.filter(call => !call.error).length,
+        failedCalls: callLog.filter(call => call.error).length
+      }
+    };
+    
+    fs.writeFileSync(outputPath, JSON.stringify(debugData, null, 2), 'utf-8');
+    config.logger.log(`  [调试日志] 已保存到: ${outputPath}`);
+  } catch (error) {
+    config.logger.log(`  [警告] 调试日志保存失败: ${error.message}`);
+  }
+}
+
+
+/**
+ * 调用状态的中文描述
+ */
+const CALL_STATUS_LABELS = {
+  ok: '成功',
+  threw: '抛出异常',
+  timeout: '超时',
+  nondeterministic: '结果不一致'
+};
+
+/**
+ * 标记结果不一致的调用：同一函数绑定、相同参数的多个调用点返回了不同结果
+ * @param {Array} actualCalls - 实际的函数调用列表
+ * @param {Map} callResults - 调用点键到调用结果的映射（会被直接修改）
+ * @returns {number} - 被标记的调用数量
+ */
+function markNondeterministicCalls(actualCalls, callResults) {
+  const groups = new Map();
+  actualCalls.forEach(call => {
+    const callResult = callResults.get(call.id);
+    if (!callResult || callResult.status !== 'ok' || !callResult.cloneable) {
+      return;
+    }
+    const groupKey = `${call.alias}(${call.args.map(formatConstant).join(', ')})`;
+    if (!groups.has(groupKey)) {
+      groups.set(groupKey, []);
+    }
+    groups.get(groupKey).push(callResult);
+  });
+
+  let markedCount = 0;
+  groups.forEach(groupResults => {
+    const first = groupResults[0].value;
+    if (groupResults.every(callResult => util.isDeepStrictEqual(callResult.value, first))) {
+      return;
+    }
+    groupResults.forEach(callResult => {
+      callResult.status = 'nondeterministic';
+      callResult.error = '相同参数的调用返回了不同结果';
+      markedCount++;
+    });
+  });
+
+  return markedCount;
+}
+
+/**
+ * 标记重复执行时结果不同的调用（结果依赖调用顺序、之前的调用、时间或随机数），这些调用不会被替换
+ * 没有完成重复执行的调用（例如总时间耗尽）同样不替换
+ * @param {Array} actualCalls - 实际的函数调用列表
+ * @param {Map} callResults - 调用点键到调用结果的映射（会被直接修改）
+ * @param {Map} verifications - 调用点键到重复执行结果的映射
+ * @returns {Array} - 被标记的调用（{ id, callExpression, reason }）
+ */
+function markUnstableCalls(actualCalls, callResults, verifications) {
+  const unstable = [];
+  actualCalls.forEach(call => {
+    const callResult = callResults.get(call.id);
+    if (!callResult || callResult.status !== 'ok') {
+      return;
+    }
+
+    const verification = verifications.get(call.id);
+    let reason = null;
+    if (!verification) {
+      reason = '未完成重复执行';
+    } else if (verification.status !== 'ok') {
+      reason = `重复执行${CALL_STATUS_LABELS[verification.status]}: ${verification.error}`;
+    } else if (callResult.cloneable !== verification.cloneable ||
+        (callResult.cloneable
+          ? !util.isDeepStrictEqual(callResult.value, verification.value)
+          : callResult.valueType !== verification.valueType)) {
+      reason = '重复执行结果不同';
+    }
+
+    if (reason) {
+      callResult.status = 'nondeterministic';
+      callResult.error = reason;
+      unstable.push({ id: call.id, callExpression: call.callExpression, reason });
+    }
+  });
+  return unstable;
+}
+
+/**
+ * 统计各状态的调用数量
+ * @param {Map} callResults - 调用点键到调用结果的映射
+ * @returns {Object} - 状态到数量的映射
+ */
+function countCallStatuses(callResults) {
+  const counts = { ok: 0, threw: 0, timeout: 0, nondeterministic: 0 };
+  callResults.forEach(callResult => {
+    counts[callResult.status] = (counts[callResult.status] || 0) + 1;
+  });
+  return counts;
+}
+
+/**
+ * 在沙箱工作线程中执行测试代码
+ * 工作线程阻塞时主线程的计时器依然有效，超出总时间预算后直接终止线程，
+ * 单个步骤的超时由工作线程内的 VM timeout 处理
+ * @param {Object} testCode - generateFunctionTestCode 生成的测试代码结构
+ * @param {Object} config - 配置对象
+ * @returns {Promise<Object>} - 执行结果（status: ok、timeout、setup-failed、error），
+ *   callResults 为调用点键到单个调用结果（status: ok、threw、timeout）的映射
+ */
+function runTestCodeInWorker(testCode, config) {
+  return new Promise(resolve => {
+    const callResults = new Map();
+    const rotatedArrays = new Map();
+    const verifications = new Map();
+    let lastStep = null;
+    let setupCompleted = false;
+    let settled = false;
+    let timeoutId = null;
+
+    const worker = new Worker(path.join(__dirname, 'sandbox-worker.js'), {
+      workerData: {
+        testCode,
+        callTimeout: config.callTimeout,
+        codeGeneration: config.codeGeneration,
+        isolation: config.isolation,
+        verify: config.verify,
+        perturb: config.perturb
+      },
+      resourceLimits: {
+        maxOldGenerationSizeMb: config.maxMemory
+      }
+    });
+
+    const finish = (outcome) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      clearTimeout(timeoutId);
+      resolve({
+        successCount: 0,
+        failCount: 0,
+        timeoutCount: 0,
+        rebuildCount: 0,
+        callLog: [],
+        traceLog: [],
+        ...outcome,
+        callResults,
+        rotatedArrays,
+        verifications,
+        lastStep,
+        setupCompleted
+      });
+    };
+
+    timeoutId = setTimeout(() => {
+      finish({ status: 'timeout' });
+      worker.terminate();
+    }, config.timeout);
+
+    worker.on('message', (message) => {
+      if (message.type === 'progress') {
+        lastStep = message;
+        if (message.stage === 'call') {
+          setupCompleted = true;
+        }
+      } else if (message.type === 'result') {
+        const { type, id, ...callResult } = message;
+        callResults.set(id, callResult);
+      } else if (message.type === 'verification') {
+        const { type, id, ...verification } = message;
+        verifications.set(id, verification);
+      } else if (message.type === 'rotation') {
+        const { type, id, ...captured } = message;
+        rotatedArrays.set(id, captured);
+      } else if (message.type === 'setup-failed') {
+        finish({ status: 'setup-failed', failedStep: message });
+      } else if (message.type === 'done') {
+        setupCompleted = true;
+        finish({ status: 'ok', ...message });
+      }
+    });
+
+    worker.on('error', (error) => {
+      const reason = error.code === 'ERR_WORKER_OUT_OF_MEMORY'
+        ? `沙箱线程内存超出限制 (${config.maxMemory}MB)`
+        : error.message;
+      finish({ status: 'error', error: reason });
+    });
+
+    worker.on('exit', (code) => {
+      finish({ status: 'error', error: `沙箱线程意外退出 (exit code ${code})` });
+    });
+  });
+}
+
+/**
+ * 创建空的处理报告
+ * @returns {Object} - 处理报告
+ */
+function createReport() {
+  return {
+    changed: false,
+    skippedReason: null,
+    reversedStrings: [],
+    foldedStrings: [],
+    decodedEscapes: 0,
+    detectedDecoders: null,
+    inlinedWrappers: null,
+    rotations: null,
+    inlinedProxies: null,
+    unflattenedBlocks: 0,
+    deadCode: null,
+    extractedFunctions: [],
+    totalCalls: 0,
+    statusCounts: { ok: 0, threw: 0, timeout: 0, nondeterministic: 0 },
+    replacedCount: 0,
+    skippedReplacements: { unrepresentable: 0, oversized: 0, unawaited: 0 },
+    execution: null,
+    verification: null,
+    cleanup: null
+  };
+}
+
+/**
+ * 合并调用点信息和执行结果
+ * @param {Array} actualCalls - 实际的函数调用列表
+ * @param {Map} callResults - 调用点键到调用结果的映射
+ * @param {Object} replacement - applyCallExpressionReplacements 的结果（replacedIds、skipReasons）
+ * @returns {Array} - 每个调用点的执行结果（未执行的调用状态为 skipped），
+ *   line、column 为调用在本轮输入代码中的位置（列号从 1 开始），
+ *   binding 为函数（或接收者）在源代码中的名称，declaration 为其声明在本轮输入代码中的位置，
+ *   skipReason 为没有替换的原因
+ */
+function collectCallResults(actualCalls, callResults, replacement) {
+  return actualCalls.map(call => {
+    const callResult = callResults.get(call.id) || { status: 'skipped', error: '未执行' };
+    const start = call.node.loc ? call.node.loc.start : null;
+    const replaced = replacement.replacedIds.has(call.id);
+    return {
+      id: call.id,
+      callExpression: call.callExpression,
+      funcName: call.funcName,
+      binding: call.bindingName,
+      declaration: call.declaration ? { ...call.declaration } : null,
+      args: call.args,
+      line: start ? start.line : null,
+      column: start ? start.column + 1 : null,
+      status: callResult.status,
+      value: callResult.value,
+      valueType: callResult.valueType,
+      awaited: callResult.awaited === true,
+      error: callResult.error,
+      elapsedTime: callResult.elapsedTime,
+      replaced,
+      skipReason: replaced ? null : replacement.skipReasons.get(call.id) || 'not-executed'
+    };
+  });
+}
+
+/**
+ * 执行不依赖调用结果的AST变换：内联代理对象、还原控制流平坦化、删除死代码
+ * 代理对象的字符串属性通常由解密函数调用得到，分发顺序字符串可能来自代理对象的属性，
+ * 常量条件可能来自前两者，因此按这个顺序执行
+ * @param {Object} ast - Babel AST
+ * @param {Object} index - 程序索引
+ * @param {Object} report - 处理报告
+ * @param {Object} config - 配置对象
+ * @returns {number} - 修改数量
+ */
+function applyStaticTransforms(ast, index, report, config) {
+  let changedCount = 0;
+
+  if (config.inlineProxies) {
+    config.logger.log(`[Step 7] 内联代理对象...`);
+    const { inlinedUses, removedObjects } = inlineProxyObjects(index, config);
+    config.logger.log(`  [代理对象] 内联 ${inlinedUses} 处属性引用, 删除 ${removedObjects.length} 个代理对象`);
+    report.inlinedProxies = { uses: inlinedUses, removed: removedObjects };
+    changedCount += inlinedUses;
+  }
+
+  if (config.unflattenControlFlow) {
+    config.logger.log(`[Step 8] 还原控制流平坦化...`);
+    const unflattenedCount = unflattenControlFlow(index, config);
+    config.logger.log(`  [控制流] 还原 ${unflattenedCount} 个分发循环`);
+    report.unflattenedBlocks = unflattenedCount;
+    changedCount += unflattenedCount;
+  }
+
+  if (config.pruneDeadCode) {
+    config.logger.log(`[Step 9] 删除死代码...`);
+    const deadCode = pruneDeadCode(ast, index, config);
+    config.logger.log(`  [死代码] 删除 ${deadCode.prunedBranches} 个常量条件分支, ${deadCode.removedStatements} 条不可达语句, ${deadCode.removedFunctions.length} 个空操作函数`);
+    report.deadCode = deadCode;
+    changedCount += deadCode.prunedBranches + deadCode.removedStatements + deadCode.removedFunctions.length;
+  }
+
+  return changedCount;
+}
+
+/**
+ * 统计包装函数内联的修改数量
+ * @param {Object} report - 处理报告
+ * @returns {number} - 改写的调用和删除的包装函数数量
+ */
+function countInlinedWrappers(report) {
+  return report.inlinedWrappers ? report.inlinedWrappers.calls + report.inlinedWrappers.removed.length : 0;
+}
+
+/**
+ * 生成最终代码（所有修改都已作用在同一个AST上）
+ * 第一轮的 source map 映射到输入代码；之后的轮次经过上一轮的 source map 映射回最初的输入代码
+ * @param {Object} ast - Babel AST
+ * @param {string} sourceCode - 本轮的源代码
+ * @param {Object|null} inputMap - 上一轮输出的 source map
+ * @param {Object} config - 配置对象
+ * @returns {Object} - { code, map }，未启用 source map 时 map 为 null，生成失败时 code 为源代码
+ */
+function generateFinalCode(ast, sourceCode, inputMap, config) {
+  try {
+    if (!config.sourceMap) {
+      return { code: generate(ast).code, map: null };
+    }
+    const { code, map } = inputMap
+      ? generate(ast, { sourceMaps: true, inputSourceMap: inputMap })
+      : generate(ast, { sourceMaps: true, sourceFileName: config.sourceFileName }, sourceCode);
+    return { code, map };
+  } catch (error) {
+    config.logger.error('代码生成失败:', error.message);
+    return { code: sourceCode, map: null };
+  }
+}
+
+/**
+ * 按沙箱中读取的旋转后的字符串数组改写数组并删除旋转函数
+ * @param {Object} index - 程序索引
+ * @param {Map} rotatedArrays - 字符串数组的绑定键到读取结果的映射
+ * @param {Object} report - 处理报告
+ * @param {Object} config - 配置对象
+ * @returns {number} - 删除的旋转函数数量
+ */
+function applyRotationResults(index, rotatedArrays, report, config) {
+  const { rewrittenArrays, removedRotations } = applyRotatedArrays(index.detected.rotations, rotatedArrays, config);
+  config.logger.log(`  [旋转] 改写 ${rewrittenArrays.length} 个字符串数组, 删除 ${removedRotations} 个旋转函数`);
+  report.rotations = { rewritten: rewrittenArrays, removed: removedRotations };
+  return removedRotations;
+}
+
+/**
+ * 没有可以执行的常量调用时单独还原字符串数组旋转：在沙箱中完成初始化（函数定义、立即执行函数）后只读取旋转后的数组
+ * @param {Object} index - 程序索引
+ * @param {Object} extracted - extractFunctionDefinitions 的结果
+ * @param {Object} report - 处理报告
+ * @param {Object} config - 配置对象
+ * @returns {Promise<number>} - 删除的旋转函数数量
+ */
+async function emulateRotationsWithoutCalls(index, extracted, report, config) {
+  if (!config.emulateRotations || !index.detected || index.detected.rotations.length === 0) {
+    return 0;
+  }
+  config.logger.log(`[Step 5] 在沙箱线程中执行字符串数组旋转...`);
+  const { functionCodeMap, closureCodeMap, receiverCodeMap, bindingAliases, immediateFunctions } = extracted;
+  const testCode = generateFunctionTestCode(functionCodeMap, closureCodeMap, [], immediateFunctions, receiverCodeMap, config);
+  testCode.rotations = generateRotationCaptures(index.detected.rotations, bindingAliases);
+
+  const execution = await runTestCodeInWorker(testCode, config);
+  if (execution.status !== 'ok') {
+    const step = execution.failedStep || execution.lastStep;
+    config.logger.log(`  [跳过] 旋转还原: 测试代码执行失败${step ? `（${step.label}）` : ''}: ${step && step.error ? step.error : execution.error || execution.status}`);
+    return 0;
+  }
+  return applyRotationResults(index, execution.rotatedArrays, report, config);
+}
+
+/**
+ * 没有可以执行的解密函数调用（或沙箱初始化失败）时，仍然执行不依赖调用结果的变换
+ * @param {Object} ast - Babel AST
+ * @param {Object} index - 程序索引
+ * @param {Object} report - 处理报告（skippedReason 已经设置）
+ * @param {string} sourceCode - 源代码
+ * @param {Object|null} inputMap - 上一轮输出的 source map
+ * @param {number} priorCount - 之前各阶段（预处理、旋转还原）的修改数量
+ * @param {Object} config - 配置对象
+ * @returns {Object} - { code, map, report, callResults }，没有任何修改时 code 为 null
+ */
+function finishWithoutCalls(ast, index, report, sourceCode, inputMap, priorCount, config) {
+  const changedCount = priorCount + countInlinedWrappers(report) + applyStaticTransforms(ast, index, report, config);
+  if (changedCount === 0) {
+    return { code: null, map: null, report, callResults: [] };
+  }
+  const { code, map } = generateFinalCode(ast, sourceCode, inputMap, config);
+  return { code, map, report, callResults: [] };
+}
+
+/**
+ * 使用新方案处理（基于函数提取和实际调用替换）
+ * @param {string} sourceCode - 源代码
+ * @param {Object|null} inputMap - 上一轮输出的 source map（第一轮为 null）
+ * @param {Object} config - 配置对象
+ * @returns {Promise<Object>} - { code, map, report, callResults }，代码无法处理时 code 为 null，
+ *   map 为本轮输出到最初输入代码的 source map（未启用或代码没有修改时为 null）
+ */
+async function processWithNewStrategy(sourceCode, inputMap, config) {
+  config.logger.log(`\n[新方案] 使用函数提取和实际调用替换方案...`);
+  
+  const report = createReport();
+  
+  // 解析代码，后续各阶段共用同一个AST，只在最后生成一次代码
+  config.logger.log(`[Step 1] 解析代码，处理字符串反序和字符串折叠...`);
+  let ast;
+  try {
+    ast = parseCode(sourceCode);
+  } catch (error) {
+    config.logger.error('代码解析失败:', error.message);
+    report.skippedReason = '代码解析失败';
+    return { code: null, report, callResults: [] };
+  }
+  const preprocessedCount = preprocessAst(ast, report, config);
+  const index = buildProgramIndex(ast, config);
+
+  if (config.detectDecoders) {
+    index.detected = detectDecoderFunctions(index, config);
+    const { providers, decoders, wrappers, rotations } = index.detected;
+    config.logger.log(`  [结构识别] 字符串数组 ${providers.length} 个, 解密函数 ${decoders.length} 个, 包装函数 ${wrappers.length} 个, 旋转函数 ${rotations.length} 个`);
+    report.detectedDecoders = {
+      providers: providers.map(info => info.name),
+      decoders: decoders.map(info => info.name),
+      wrappers: wrappers.map(info => info.name),
+      rotations: rotations.length
+    };
+
+    // 包装函数调用改写为解密函数的直接调用，之后的提取和求值都针对解密函数
+    if (config.inlineWrappers && wrappers.length > 0) {
+      const inlined = inlineForwardingWrappers(index, index.detected, config);
+      config.logger.log(`  [内联] 改写 ${inlined.inlinedCalls} 处包装函数调用, 删除 ${inlined.removedWrappers.length} 个包装函数`);
+      report.inlinedWrappers = {
+        calls: inlined.inlinedCalls,
+        removed: inlined.removedWrappers
+      };
+    }
+  }
+  selectInterceptTargets(index, config);
+
+  // 提取函数定义
+  config.logger.log(`[Step 2] 提取匹配的函数定义...`);
+  const extracted = extractFunctionDefinitions(index, config);
+  const { functions: extractedFunctions, functionCodeMap, closureCodeMap, receiverCodeMap, bindingAliases, immediateFunctions } = extracted;
+  
+  report.extractedFunctions = extractedFunctions;
+  
+  // 只有对象或类方法形式的解密函数（obj.f12(...)、C.f14(...)、this.f13(...)）时，函数定义随接收者一起提取
+  if (extractedFunctions.length === 0 && receiverCodeMap.size === 0) {
+    config.logger.log(`  [Info] 未找到匹配的函数定义，使用原有方案`);
+    report.skippedReason = '未找到匹配的函数定义';
+    return finishWithoutCalls(ast, index, report, sourceCode, inputMap, preprocessedCount, config);
+  }
+  
+  config.logger.log(`  [提取完成] 找到 ${extractedFunctions.length} 个函数: ${extractedFunctions.join(', ')}${receiverCodeMap.size > 0 ? `; ${receiverCodeMap.size} 个成员调用接收者: ${Array.from(receiverCodeMap.keys()).join(', ')}` : ''}`);
+  
+  // 提取实际的函数调用
+  config.logger.log(`[Step 3] 提取实际的函数调用...`);
+  const actualCalls = extractActualFunctionCalls(index, bindingAliases, config);
+  
+  if (actualCalls.length === 0) {
+    config.logger.log(`  [Info] 未找到实际的常量函数调用`);
+    
+    // 调试：检查为什么没有找到调用
+    if (config.verbose) {
+      config.logger.log(`  [调试] 检查函数调用提取问题...`);
+      index.callSites.forEach(site => {
+        config.logger.log(`    [调试] 找到匹配函数调用: ${site.name}(${site.path.node.arguments.length}参数)`);
+        const args = extractConstantArguments(site.path.get('arguments'));
+        config.logger.log(`      参数: ${args ? args.map(formatConstant).join(', ') : '包含非常量参数'}`);
+      });
+      config.logger.log(`    [调试] 总共找到 ${index.callSites.length} 个匹配的函数调用`);
+    }
+    
+    report.skippedReason = '未找到实际的常量函数调用';
+    // 字符串数组的旋转不依赖调用结果
+    const rotationCount = await emulateRotationsWithoutCalls(index, extracted, report, config);
+    return finishWithoutCalls(ast, index, report, sourceCode, inputMap, preprocessedCount + rotationCount, config);
+  }
+  
+  report.totalCalls = actualCalls.length;
+  
+  config.logger.log(`  [提取完成] 找到 ${actualCalls.length} 个常量函数调用`);
+  
+  if (config.verbose) {
+    config.logger.log(`  [调试] 前10个调用:`);
+    let count = 0;
+    for (const call of actualCalls) {
+      if (count++ >= 10) break;
+      config.logger.log(`    ${call.callExpression} -> ${call.alias}`);
+    }
+  }
+  
+  // 生成函数测试代码（基于实际调用）
+  config.logger.log(`[Step 4] 生成函数测试代码...`);
+  
+  // 立即执行函数代码在提取函数定义时按绑定别名生成，与提取的函数别名保持一致
+  if (immediateFunctions.length > 0) {
+    config.logger.log(`  [提取] 找到 ${immediateFunctions.length} 个立即执行函数`);
+  }
+  
+  const testCode = generateFunctionTestCode(functionCodeMap, closureCodeMap, actualCalls, immediateFunctions, receiverCodeMap, config);
+  if (config.emulateRotations && index.detected) {
+    testCode.rotations = generateRotationCaptures(index.detected.rotations, bindingAliases);
+  }
+  
+  // 保存测试代码用于调试
+  if (config.verbose && config.testCodeOutput) {
+    const testScript = composeTestScript(testCode);
+    fs.writeFileSync(config.testCodeOutput, testScript, 'utf-8');
+    config.logger.log("测试代码保存:", config.testCodeOutput);
+    config.logger.log("测试代码内容预览:", testScript.substring(0, 500) + "...");
+  }
+  
+  // 在工作线程中执行测试代码
+  config.logger.log(`[Step 5] 在沙箱线程中执行测试代码，获取调用结果...`);
+  config.logger.log(`  [执行预算] 总时间 ${config.timeout}ms, 单步 ${config.callTimeout}ms, 内存 ${config.maxMemory}MB`);
+  config.logger.log(`  总共需要测试 ${actualCalls.length} 个函数调用`);
+  
+  const vmStartTime = Date.now();
+  const execution = await runTestCodeInWorker(testCode, config);
+  const vmElapsedTime = Date.now() - vmStartTime;
+  
+  report.execution = {
+    status: execution.status,
+    elapsedTime: vmElapsedTime,
+    timeoutCount: execution.timeoutCount,
+    rebuildCount: execution.rebuildCount
+  };
+  
+  const step = execution.failedStep || execution.lastStep;
+  let reason = null;
+  if (execution.status === 'setup-failed') {
+    reason = step.timedOut ? `执行超时 (${config.callTimeout}ms)` : step.error;
+  } else if (execution.status === 'timeout') {
+    reason = `总执行时间超过 ${config.timeout}ms，已终止沙箱线程`;
+  } else if (execution.status === 'error') {
+    reason = execution.error;
+  }
+  
+  // 初始化阶段失败（包括超时和线程异常）：结果不可信，放弃替换
+  if (execution.status !== 'ok' && !execution.setupCompleted) {
+    config.logger.log('  [错误] 测试代码执行失败 (' + vmElapsedTime + 'ms): ' + reason);
+    if (step) {
+      config.logger.log(`  [错误] 失败步骤: ${step.label}`);
+    }
+    
+    // 保存测试代码用于调试
+    if (config.verbose && config.outputDebug) {
+      const debugInfo = {
+        timestamp: new Date().toISOString(),
+        error: reason,
+        step: step || null,
+        elapsedTime: vmElapsedTime,
+        testCode: composeTestScript(testCode).substring(0, 10000) // 保存前10000字符
+      };
+      fs.writeFileSync(config.outputDebug + '.vm-error.json', JSON.stringify(debugInfo, null, 2), 'utf-8');
+    }
+    
+    report.execution.error = reason;
+    report.execution.failedStep = step ? step.label : null;
+    report.skippedReason = '测试代码执行失败';
+    // 预处理、包装函数内联等不依赖调用结果的变换照常输出，沙箱的错误记录在 report.execution 中；
+    // 调用点仍然列出，状态和没有替换的原因都是 setup-failed
+    const outcome = finishWithoutCalls(ast, index, report, sourceCode, inputMap, preprocessedCount, config);
+    const failedResults = new Map(actualCalls.map(call => [call.id, { status: 'setup-failed', error: reason }]));
+    const notReplaced = { replacedIds: new Set(), skipReasons: new Map(actualCalls.map(call => [call.id, 'setup-failed'])) };
+    outcome.callResults = collectCallResults(actualCalls, failedResults, notReplaced);
+    return outcome;
+  }
+  
+  if (execution.status !== 'ok') {
+    // 调用阶段超时或线程异常：已完成调用的结果仍然有效
+    config.logger.log(`  [中止] ${reason}`);
+    config.logger.log(`  [中止] 终止时正在执行: ${step.label}，保留已完成调用的结果`);
+    report.execution.error = reason;
+    report.execution.failedStep = step.label;
+  } else {
+    config.logger.log('  [VM执行] 完成 (' + vmElapsedTime + 'ms)');
+  }
+  
+  const callResults = execution.callResults;
+  const globalCallLog = execution.callLog;
+  const callsById = new Map(actualCalls.map(call => [call.id, call]));
+  
+  // 相同绑定、相同参数的调用返回不同结果，说明解密函数依赖调用顺序或外部状态
+  markNondeterministicCalls(actualCalls, callResults);
+
+  // 重复执行结果不同的调用同样不可信
+  if (config.verify) {
+    const unstable = markUnstableCalls(actualCalls, callResults, execution.verifications);
+    report.verification = {
+      mode: config.verify,
+      perturb: config.perturb,
+      verified: execution.verifications.size,
+      unstable
+    };
+    config.logger.log(`  [验证] ${config.verify === 'fresh' ? '在新上下文中' : '逆序'}重复执行 ${execution.verifications.size} 个调用${config.perturb ? '（扰动时间和随机数）' : ''}, 结果不同 ${unstable.length} 个`);
+  }
+  
+  const statusCounts = countCallStatuses(callResults);
+  report.statusCounts = statusCounts;
+  config.logger.log(`  测试完成: 成功 ${statusCounts.ok} 抛出异常 ${statusCounts.threw} 超时 ${statusCounts.timeout} 结果不一致 ${statusCounts.nondeterministic}`);
+  if (execution.rebuildCount > 0) {
+    config.logger.log(`  [隔离] 重建上下文 ${execution.rebuildCount} 次`);
+  }
+  
+  callResults.forEach((callResult, callId) => {
+    if (callResult.status === 'ok') {
+      return;
+    }
+    const call = callsById.get(callId);
+    // 超时和结果不一致总是输出，其他失败只在详细模式下输出
+    if (config.verbose || callResult.status === 'timeout' || callResult.status === 'nondeterministic') {
+      config.logger.log(`  [调用${CALL_STATUS_LABELS[callResult.status]}] ${call ? call.callExpression : callId} -> ${callResult.error}`);
+    }
+  });
+  
+  const callExpressionMap = new Map();
+  callResults.forEach((callResult, callId) => {
+    if (callResult.status === 'ok') {
+      callExpressionMap.set(callId, callResult);
+    }
+  });
+  
+  config.logger.log(`  [测试完成] 收集到 ${callExpressionMap.size} 个调用结果`);
+  
+  // 输出调试结果
+  if (config.debug) {
+    config.logger.log(`\n  [调试信息] 函数调用记录: ${globalCallLog.length} 条`);
+    
+    // 分析函数调用差异
+    analyzeFunctionCallDifferences(globalCallLog, actualCalls, config);
+    
+    // 保存调试日志到文件
+    if (config.outputDebug) {
+      saveDebugLogs(globalCallLog, config.outputDebug, config);
+    }
+  }
+  
+  if (callExpressionMap.size === 0) {
+    config.logger.log(`  [警告] 调用结果为空，可能原因:`);
+    config.logger.log(`    - 函数调用执行失败`);
+    config.logger.log(`    - 函数依赖关系不完整`);
+    config.logger.log(`    - 测试代码语法错误`);
+    
+    if (config.verbose) {
+      config.logger.log(`  [调试] 检查测试代码语法...`);
+      // 验证测试代码语法
+      try {
+        parser.parse(composeTestScript(testCode), { sourceType: 'script' });
+        config.logger.log(`    [调试] 测试代码语法正确`);
+      } catch (e) {
+        config.logger.log(`    [调试] 测试代码语法错误: ${e.message}`);
+      }
+    }
+  }
+  
+  if (config.verbose && callExpressionMap.size > 0) {
+    config.logger.log(`  [调试] 调用结果:`);
+    let count = 0;
+    for (const [callId, callResult] of callExpressionMap) {
+      if (count++ >= 10) break;
+      const call = callsById.get(callId);
+      config.logger.log(`    ${call ? call.callExpression : callId} -> ${callResult.cloneable ? util.inspect(callResult.value, { depth: 0 }) : callResult.valueType}`);
+    }
+  }
+  
+  // 应用基于调用表达式的替换
+  config.logger.log(`[Step 6] 应用调用表达式替换...`);
+  const replacement = applyCallExpressionReplacements(actualCalls, callResults, config);
+  const { replacedIds, skipped } = replacement;
+  report.replacedCount = replacedIds.size;
+  report.skippedReplacements = skipped;
+  if (skipped.unrepresentable > 0 || skipped.oversized > 0) {
+    config.logger.log(`  [跳过] 结果无法写成字面量 ${skipped.unrepresentable} 个, 结果过大 ${skipped.oversized} 个`);
+  }
+  if (skipped.unawaited > 0) {
+    config.logger.log(`  [跳过] 结果是 Promise 但调用没有被 await ${skipped.unawaited} 个`);
+  }
+
+  // 字符串数组改写为旋转后的顺序，旋转函数随之删除
+  let rotationCount = 0;
+  if (testCode.rotations.length > 0) {
+    rotationCount = applyRotationResults(index, execution.rotatedArrays, report, config);
+  }
+
+  // 代理对象内联、控制流还原和死代码删除依赖替换之后的字面量
+  const staticCount = applyStaticTransforms(ast, index, report, config);
+
+  let cleanupCount = 0;
+  
+  // 实验性：清理已解密的函数
+  if (config.cleanupFunctions !== 'none') {
+    config.logger.log(`[Step 10] 分析并清理已解密的函数...`);
+    
+    // 分析哪些函数可以被清理
+    const cleanupData = analyzeFunctionsForCleanup(index, replacedIds, actualCalls, config);
+    
+    const totalCleanup = cleanupData.functions.size + cleanupData.immediateFunctions.size;
+    if (totalCleanup > 0) {
+      if (cleanupData.functions.size > 0) {
+        config.logger.log(`  [清理分析] 找到 ${cleanupData.functions.size} 个可以清理的函数: ${Array.from(cleanupData.functions, decl => decl.name).join(', ')}`);
+      }
+      if (cleanupData.immediateFunctions.size > 0) {
+        config.logger.log(`  [清理分析] 找到 ${cleanupData.immediateFunctions.size} 个可以清理的立即执行函数`);
+      }
+      report.cleanup = {
+        functions: Array.from(cleanupData.functions, decl => decl.name),
+        immediateFunctions: cleanupData.immediateFunctions.size
+      };
+      
+      // 执行清理
+      cleanupCount = cleanupDecryptedFunctions(index, cleanupData, config.cleanupFunctions, config);
+    } else {
+      config.logger.log(`  [清理分析] 未找到可以清理的函数`);
+    }
+  }
+  
+  // 没有任何修改时保留原代码
+  const changedCount = preprocessedCount + countInlinedWrappers(report) + replacedIds.size + rotationCount + staticCount + cleanupCount;
+  const { code: finalCode, map } = changedCount > 0 ? generateFinalCode(ast, sourceCode, inputMap, config) : { code: sourceCode, map: null };
+  
+  return {
+    code: finalCode,
+    map,
+    report,
+    callResults: collectCallResults(actualCalls, callResults, replacement)
+  };
+}
+
+/**
+ * 汇总单轮处理的统计
+ * @param {number} pass - 轮次（从 1 开始）
+ * @param {Object} report - 该轮的处理报告
+ * @returns {Object} - 单轮统计
+ */
+function summarizePass(pass, report) {
+  return {
+    pass,
+    changed: report.changed,
+    skippedReason: report.skippedReason,
+    totalCalls: report.totalCalls,
+    replacedCount: report.replacedCount,
+    statusCounts: report.statusCounts,
+    inlinedProxies: report.inlinedProxies ? report.inlinedProxies.uses : 0,
+    unflattenedBlocks: report.unflattenedBlocks
+  };
+}
+
+/**
+ * 把调用点和函数声明在本轮输入代码中的位置映射回源代码
+ * 第一轮的输入就是源代码；之后的轮次通过之前各轮组合的 source map 映射，没有 source map 时位置为 null
+ * @param {Array} passResults - 本轮的调用点执行结果（会被直接修改）
+ * @param {number} pass - 轮次（从 1 开始）
+ * @param {Object|null} inputMap - 本轮输入代码到源代码的 source map
+ */
+function mapCallPositions(passResults, pass, inputMap) {
+  if (pass === 1) {
+    return;
+  }
+  const traceMap = inputMap ? new TraceMap(inputMap) : null;
+  const mapPosition = (line, column) => {
+    const original = traceMap && line !== null
+      ? originalPositionFor(traceMap, { line, column: column - 1 })
+      : { line: null, column: null };
+    return { line: original.line, column: original.column === null ? null : original.column + 1 };
+  };
+  passResults.forEach(callResult => {
+    const { line, column } = mapPosition(callResult.line, callResult.column);
+    callResult.line = line;
+    callResult.column = column;
+    if (callResult.declaration) {
+      callResult.declaration = mapPosition(callResult.declaration.line, callResult.declaration.column);
+    }
+  });
+}
+
+/**
+ * 解密混淆代码
+ * 替换之后可能出现新的常量调用（解密结果成为另一个解密函数的参数、代理对象属性变成字面量），
+ * 多轮处理时把上一轮的输出作为下一轮的输入，直到代码不再变化或达到轮数上限
+ * @param {string} source - 源代码
+ * @param {Object} [options] - 配置，未指定的项使用 DEFAULT_OPTIONS
+ * @returns {Promise<Object>} - { code, map, report, callResults }
+ *   code 为处理后的代码（无需处理时与源代码相同），
+ *   map 为 config.sourceMap 启用时从 code 到源代码的 source map（代码没有修改时为 null），
+ *   report 为第一轮的处理统计（replacedCount 为所有轮次的替换总数，passes 为每一轮的统计），
+ *   callResults 为每个调用点的执行结果（pass 为所在轮次，line、column 为源代码中的位置；
+ *   多轮处理时之后轮次的位置需要启用 config.sourceMap 才能映射回源代码，否则为 null）
+ */
+async function deobfuscate(source, options = {}) {
+  const config = normalizeOptions(options);
+  const maxPasses = config.untilStable ? MAX_STABLE_PASSES : Math.max(1, config.passes);
+
+  let code = source;
+  let map = null;
+  let report = null;
+  const passes = [];
+  const callResults = [];
+
+  for (let pass = 1; pass <= maxPasses; pass++) {
+    if (maxPasses > 1) {
+      config.logger.log(`\n[第 ${pass} 轮] ${pass === 1 ? '处理输入代码' : '处理上一轮的输出'}...`);
+    }
+    const outcome = await processWithNewStrategy(code, map, config);
+    mapCallPositions(outcome.callResults, pass, map);
+    const passCode = outcome.code === null ? code : outcome.code;
+    outcome.report.changed = passCode !== code;
+    if (outcome.report.changed && outcome.map) {
+      map = outcome.map;
+    }
+
+    report = report || outcome.report;
+    passes.push(summarizePass(pass, outcome.report));
+    outcome.callResults.forEach(callResult => callResults.push({ ...callResult, pass }));
+    code = passCode;
+
+    if (!outcome.report.changed) {
+      break;
+    }
+    if (pass === maxPasses && config.untilStable) {
+      config.logger.log(`  [多轮] 达到最大轮数 ${MAX_STABLE_PASSES}，代码仍在变化`);
+    }
+  }
+
+  if (maxPasses > 1) {
+    passes.forEach(({ pass, totalCalls, replacedCount, inlinedProxies, unflattenedBlocks, changed }) => {
+      config.logger.log(`  [多轮] 第 ${pass} 轮: 常量调用 ${totalCalls} 个, 替换 ${replacedCount} 个, 内联代理属性 ${inlinedProxies} 处, 还原分发循环 ${unflattenedBlocks} 个${changed ? '' : '（代码未变化）'}`);
+    });
+  }
+
+  report.changed = code !== source;
+  report.replacedCount = passes.reduce((sum, { replacedCount }) => sum + replacedCount, 0);
+  report.passes = passes;
+
+  return {
+    code,
+    map,
+    report,
+    callResults
+  };
+}
+
+module.exports = {
+  deobfuscate,
+  DEFAULT_OPTIONS
+};
+
@@ -0,0 +1,366 @@
+/**
+ * 解密函数的结构识别：不依赖函数名，按代码结构识别混淆器生成的解密相关函数
+ *
+ * - 字符串数组：由字符串字面量组成的数组变量，或返回这种数组的函数（包括自我重定义的形式）
+ * - 解密函数：调用字符串数组函数（或引用字符串数组变量），并以非常量下标读取数组的函数
+ * - 包装函数：函数体只有一条 return，把参数（可以带常量偏移）转发给解密函数或其他包装函数
+ * - 旋转函数：以字符串数组为参数、循环执行 push(shift()) 的立即执行函数，
+ *   并且把 parseInt(...)/N 组成的校验值与数字参数（第二个参数）比较，旋转到两者相等为止
+ */
+
+const { getMemberPropertyName } = require('./ast-utils');
+
+/**
+ * 字符串数组的最少元素个数
+ */
+const MIN_STRING_ARRAY_LENGTH = 3;
+
+/**
+ * 检查节点是否是字符串数组字面量
+ * @param {Object} node - AST节点
+ * @returns {boolean} - 是否是字符串数组
+ */
+function isStringArrayExpression(node) {
+  return !!node &&
+    node.type === 'ArrayExpression' &&
+    node.elements.length >= MIN_STRING_ARRAY_LENGTH &&
+    node.elements.every(element => element && element.type === 'StringLiteral');
+}
+
+/**
+ * 检查路径是否是以非常量下标读取数组的成员表达式（arr[p]、arr[p - 0x1a]）
+ * @param {Object} path - 引用数组的标识符路径
+ * @returns {boolean} - 是否以非常量下标读取
+ */
+function isIndexedRead(path) {
+  const parent = path.parentPath;
+  return parent.isMemberExpression({ object: path.node }) &&
+    parent.node.computed &&
+    !parent.get('property').isLiteral();
+}
+
+/**
+ * 检查表达式是否只由参数、字面量和算术运算组成（包装函数转发的参数）
+ * @param {Object} node - AST节点
+ * @param {Set} paramNames - 包装函数的参数名
+ * @returns {boolean} - 是否是简单的转发参数
+ */
+function isForwardedArgument(node, paramNames) {
+  switch (node.type) {
+    case 'Identifier':
+      return paramNames.has(node.name);
+    case 'NumericLiteral':
+    case 'StringLiteral':
+      return true;
+    case 'UnaryExpression':
+      return ['-', '+'].includes(node.operator) && isForwardedArgument(node.argument, paramNames);
+    case 'BinaryExpression':
+      return ['+', '-'].includes(node.operator) &&
+        isForwardedArgument(node.left, paramNames) &&
+        isForwardedArgument(node.right, paramNames);
+    default:
+      return false;
+  }
+}
+
+/**
+ * 分析包装函数的转发调用
+ * @param {Object} funcInfo - 函数信息（path 为 FunctionDeclaration 或 VariableDeclarator 的路径）
+ * @returns {Object|null} - 形参名列表 params、转发调用节点 call、被转发的函数绑定 target；不是包装函数时返回 null
+ */
+function getForwardCall(funcInfo) {
+  const funcPath = funcInfo.type === 'declaration' ? funcInfo.path : funcInfo.path.get('init');
+  let callPath = funcPath.get('body');
+  if (callPath.isBlockStatement()) {
+    const body = callPath.node.body;
+    if (body.length !== 1 || body[0].type !== 'ReturnStatement') {
+      return null;
+    }
+    callPath = funcPath.get('body.body.0.argument');
+  }
+  // 箭头函数的表达式函数体直接是转发调用
+  if (!callPath.isCallExpression() || !callPath.get('callee').isIdentifier()) {
+    return null;
+  }
+
+  const paramNames = new Set();
+  for (const param of funcPath.node.params) {
+    if (param.type !== 'Identifier') {
+      return null;
+    }
+    paramNames.add(param.name);
+  }
+  if (!callPath.node.arguments.every(arg => isForwardedArgument(arg, paramNames))) {
+    return null;
+  }
+
+  const target = callPath.scope.getBinding(callPath.node.callee.name);
+  if (!target) {
+    return null;
+  }
+  return {
+    params: funcPath.node.params.map(param => param.name),
+    call: callPath.node,
+    target: target
+  };
+}
+
+/**
+ * 检查调用是否是一次数组旋转：arr.push(arr.shift())
+ * @param {Object} node - CallExpression 节点
+ * @returns {boolean} - 是否是一次旋转
+ */
+function isPushShiftCall(node) {
+  const { callee, arguments: args } = node;
+  return callee.type === 'MemberExpression' && getMemberPropertyName(callee) === 'push' &&
+    args.length === 1 && args[0].type === 'CallExpression' &&
+    args[0].callee.type === 'MemberExpression' && getMemberPropertyName(args[0].callee) === 'shift';
+}
+
+/**
+ * 检查节点是否是 parseInt(...) 调用
+ * @param {Object} node - AST节点
+ * @returns {boolean} - 是否是 parseInt 调用
+ */
+function isParseIntCall(node) {
+  return node.type === 'CallExpression' && node.callee.type === 'Identifier' && node.callee.name === 'parseInt';
+}
+
+/**
+ * 检查表达式中是否有 parseInt(...) 调用
+ * @param {Object} path - 表达式路径
+ * @returns {boolean} - 是否包含 parseInt 调用
+ */
+function containsParseIntCall(path) {
+  if (isParseIntCall(path.node)) {
+    return true;
+  }
+  let found = false;
+  path.traverse({
+    CallExpression(innerPath) {
+      if (isParseIntCall(innerPath.node)) {
+        found = true;
+        innerPath.stop();
+      }
+    }
+  });
+  return found;
+}
+
+/**
+ * 检查比较的一侧是否是校验值：由 parseInt(...) 组成的表达式，或者初始值、赋值为这种表达式的变量
+ * @param {Object} path - 比较运算一侧的路径
+ * @returns {boolean} - 是否是校验值
+ */
+function isChecksumOperand(path) {
+  if (!path.isIdentifier()) {
+    return containsParseIntCall(path);
+  }
+  const binding = path.scope.getBinding(path.node.name);
+  if (!binding) {
+    return false;
+  }
+  const init = binding.path.isVariableDeclarator() && binding.path.node.init ? [binding.path.get('init')] : [];
+  const assigned = binding.constantViolations
+    .filter(violation => violation.isAssignmentExpression({ operator: '=' }))
+    .map(violation => violation.get('right'));
+  return [...init, ...assigned].some(containsParseIntCall);
+}
+
+/**
+ * 检查比较的一侧是否是立即执行函数接收数字实参的形参（校验的目标值）
+ * @param {Object} path - 比较运算一侧的路径
+ * @param {Object} funcPath - 立即执行函数的路径
+ * @param {Array} args - 立即执行函数的实参节点
+ * @param {number} arrayIndex - 字符串数组实参的下标
+ * @returns {boolean} - 是否是目标值形参
+ */
+function isTargetParam(path, funcPath, args, arrayIndex) {
+  if (!path.isIdentifier()) {
+    return false;
+  }
+  const binding = path.scope.getBinding(path.node.name);
+  if (!binding || binding.kind !== 'param' || binding.scope.block !== funcPath.node) {
+    return false;
+  }
+  const paramIndex = funcPath.node.params.indexOf(binding.identifier);
+  return paramIndex !== -1 && paramIndex !== arrayIndex &&
+    !!args[paramIndex] && args[paramIndex].type === 'NumericLiteral';
+}
+
+/**
+ * 检查立即执行函数是否是字符串数组旋转函数
+ * @param {Object} callPath - 立即执行函数调用的路径
+ * @param {Set} providerBindings - 字符串数组（函数或变量）的绑定
+ * @returns {Object|null} - 被旋转的字符串数组的绑定，不是旋转函数时返回 null
+ */
+function getRotatedProvider(callPath, providerBindings) {
+  const argPaths = callPath.get('arguments');
+  const arrayIndex = argPaths.findIndex(argPath =>
+    argPath.isIdentifier() && providerBindings.has(argPath.scope.getBinding(argPath.node.name))
+  );
+  const funcPath = callPath.get('callee');
+  if (arrayIndex === -1 || !(funcPath.isFunctionExpression() || funcPath.isArrowFunctionExpression())) {
+    return null;
+  }
+
+  // 只循环执行 push(shift()) 的代码（例如队列处理）不是旋转，还必须有 parseInt 校验值与目标值的比较
+  let rotates = false;
+  let checksum = false;
+  funcPath.traverse({
+    CallExpression(path) {
+      if (isPushShiftCall(path.node)) {
+        rotates = true;
+      }
+    },
+    BinaryExpression(path) {
+      if (!['===', '==', '!==', '!='].includes(path.node.operator)) {
+        return;
+      }
+      const left = path.get('left');
+      const right = path.get('right');
+      if ((isChecksumOperand(left) && isTargetParam(right, funcPath, callPath.node.arguments, arrayIndex)) ||
+          (isChecksumOperand(right) && isTargetParam(left, funcPath, callPath.node.arguments, arrayIndex))) {
+        checksum = true;
+      }
+    }
+  });
+
+  const arrayArg = argPaths[arrayIndex];
+  return rotates && checksum ? arrayArg.scope.getBinding(arrayArg.node.name) : null;
+}
+
+/**
+ * 按结构识别解密相关的函数
+ * @param {Object} index - 程序索引（functions、stringArrays、immediateFunctions）
+ * @param {Object} config - 配置对象
+ * @returns {Object} - providers（字符串数组）、decoders（解密函数）、wrappers（包装函数）、
+ *   rotations（旋转函数：{ path: 调用路径, provider: 被旋转的字符串数组, arrayPath: 数组字面量路径 }）；
+ *   前三项为函数信息列表，与 index.functions 中的条目相同
+ */
+function detectDecoderFunctions(index, config) {
+  const functionsByNode = new Map(index.functions.map(funcInfo => [funcInfo.path.node, funcInfo]));
+  const providers = [];
+  const providerBindings = new Set();
+  const providerArrays = new Map();
+
+  function findEnclosingFunction(path) {
+    const parent = path.findParent(p => functionsByNode.has(p.node));
+    return parent ? functionsByNode.get(parent.node) : null;
+  }
+
+  // 字符串数组：全局数组变量本身，或者在函数中定义并被返回的数组（该函数即字符串数组函数）
+  index.stringArrays.forEach(arrayPath => {
+    const parent = arrayPath.parentPath;
+    let provider = null;
+
+    if (parent.isReturnStatement()) {
+      provider = findEnclosingFunction(arrayPath);
+    } else if (parent.isVariableDeclarator({ init: arrayPath.node }) && parent.get('id').isIdentifier()) {
+      const binding = parent.scope.getBinding(parent.node.id.name);
+      if (!binding) {
+        return;
+      }
+      const owner = findEnclosingFunction(parent);
+      if (!owner || binding.scope.path.isProgram()) {
+        provider = {
+          name: binding.identifier.name,
+          path: parent,
+          type: 'array',
+          binding: binding
+        };
+      } else if (binding.referencePaths.some(ref => ref.parentPath.isReturnStatement())) {
+        provider = owner;
+      }
+    }
+
+    if (provider && provider.binding && !providerBindings.has(provider.binding)) {
+      providerBindings.add(provider.binding);
+      providerArrays.set(provider.binding, arrayPath);
+      providers.push(provider);
+    }
+  });
+
+  // 解密函数：取得字符串数组并以非常量下标读取
+  const decoders = [];
+  const decoderBindings = new Set();
+  providers.forEach(provider => {
+    provider.binding.referencePaths.forEach(ref => {
+      const decoder = findEnclosingFunction(ref);
+      if (!decoder || !decoder.binding || decoder.binding === provider.binding || decoderBindings.has(decoder.binding)) {
+        return;
+      }
+
+      let indexed = false;
+      if (provider.type === 'array') {
+        indexed = isIndexedRead(ref);
+      } else if (ref.parentPath.isCallExpression({ callee: ref.node }) &&
+                 ref.parentPath.parentPath.isVariableDeclarator() &&
+                 ref.parentPath.parentPath.get('id').isIdentifier()) {
+        // const arr = provider(); ... arr[p]
+        const declarator = ref.parentPath.parentPath;
+        const arrayBinding = declarator.scope.getBinding(declarator.node.id.name);
+        indexed = !!arrayBinding && arrayBinding.referencePaths.some(isIndexedRead);
+      }
+
+      if (indexed) {
+        decoderBindings.add(decoder.binding);
+        decoders.push(decoder);
+      }
+    });
+  });
+
+  // 包装函数：逐轮展开，包装函数也可以转发给其他包装函数
+  const wrappers = [];
+  const forwardTargets = new Set(decoderBindings);
+  let foundNew = decoders.length > 0;
+  while (foundNew) {
+    foundNew = false;
+    index.functions.forEach(funcInfo => {
+      if (!funcInfo.binding || forwardTargets.has(funcInfo.binding) || providerBindings.has(funcInfo.binding)) {
+        return;
+      }
+      const forward = getForwardCall(funcInfo);
+      if (forward && forwardTargets.has(forward.target)) {
+        forwardTargets.add(funcInfo.binding);
+        wrappers.push(funcInfo);
+        foundNew = true;
+      }
+    });
+  }
+
+  // 旋转函数：表达式语句形式的立即执行函数在索引中出现两次，按调用节点去重
+  const rotations = [];
+  const seenCalls = new Set();
+  index.immediateFunctions.forEach(({ path, statement }) => {
+    const callPath = statement ? path.get('expression') : path;
+    if (seenCalls.has(callPath.node)) {
+      return;
+    }
+    seenCalls.add(callPath.node);
+    const rotated = getRotatedProvider(callPath, providerBindings);
+    if (rotated) {
+      rotations.push({
+        path: callPath,
+        provider: providers.find(info => info.binding === rotated),
+        arrayPath: providerArrays.get(rotated)
+      });
+    }
+  });
+
+  if (config.verbose) {
+    providers.forEach(info => config.logger.log(`  [结构识别] 字符串数组: ${info.name}`));
+    decoders.forEach(info => config.logger.log(`  [结构识别] 解密函数: ${info.name}`));
+    wrappers.forEach(info => config.logger.log(`  [结构识别] 包装函数: ${info.name}`));
+    rotations.forEach(({ path }) => config.logger.log(`  [结构识别] 旋转函数: ${path.toString().replace(/\s+/g, ' ').substring(0, 80)}...`));
+  }
+
+  return { providers, decoders, wrappers, rotations };
+}
+
+module.exports = {
+  detectDecoderFunctions,
+  getForwardCall,
+  isPushShiftCall,
+  isStringArrayExpression
+};
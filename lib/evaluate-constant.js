@@ -0,0 +1,110 @@
+/**
+ * 常量求值：判断调用参数能否在静态分析时确定为原始值，并把原始值转换为测试代码中的源码
+ *
+ *   f(0x3ff, 1e3)          ->  [1023, 1000]
+ *   f(1 + 2, 'a' + 'b')    ->  [3, "ab"]
+ *   f(!0, void 0, ~5)      ->  [true, undefined, -6]
+ *   const k = "iDG#"; f(k) ->  ["iDG#"]
+ *
+ * 求值使用 Babel 的 path.evaluate()，只接受原始值结果，并对变量引用额外限制
+ */
+
+/**
+ * 检查表达式中的变量引用能否在调用时确定为声明时的值
+ * const 声明总是可以；var/let 声明必须从未被重新赋值，并且与引用位于同一个函数中
+ * （否则先调用、后执行声明的函数会读取到未初始化的值）
+ * @param {Object} path - 表达式路径
+ * @returns {boolean} - 所有变量引用都可以确定
+ */
+function hasStableReferences(path) {
+  const isStable = refPath => {
+    const binding = refPath.scope.getBinding(refPath.node.name);
+    if (!binding) {
+      // undefined、NaN、Infinity 等全局常量由 path.evaluate() 处理
+      return true;
+    }
+    if (binding.kind === 'const') {
+      return true;
+    }
+    return (binding.kind === 'var' || binding.kind === 'let') &&
+      binding.constant &&
+      binding.scope.getFunctionParent() === refPath.scope.getFunctionParent();
+  };
+
+  if (path.isReferencedIdentifier()) {
+    return isStable(path);
+  }
+  let stable = true;
+  path.traverse({
+    ReferencedIdentifier(refPath) {
+      if (!isStable(refPath)) {
+        stable = false;
+        refPath.stop();
+      }
+    }
+  });
+  return stable;
+}
+
+/**
+ * 检查值是否是可以作为常量参数的原始值
+ * @param {*} value - 求值结果
+ * @returns {boolean} - 是否是原始值（bigint 和 symbol 除外）
+ */
+function isPrimitiveConstant(value) {
+  return value === null || ['string', 'number', 'boolean', 'undefined'].includes(typeof value);
+}
+
+/**
+ * 静态求值调用参数
+ * @param {Object} path - 参数路径
+ * @returns {Object} - { confident, value }，不能确定为原始值时 confident 为 false
+ */
+function evaluateConstant(path) {
+  const node = path.node;
+  if (node.type === 'StringLiteral' || node.type === 'NumericLiteral' || node.type === 'BooleanLiteral') {
+    return { confident: true, value: node.value };
+  }
+  if (node.type === 'NullLiteral') {
+    return { confident: true, value: null };
+  }
+  if (path.isSpreadElement() || !path.isExpression() || !hasStableReferences(path)) {
+    return { confident: false };
+  }
+
+  try {
+    const { confident, value } = path.evaluate();
+    if (confident && isPrimitiveConstant(value)) {
+      return { confident: true, value };
+    }
+  } catch (error) {
+    // 求值过程中抛出异常视为不能确定
+  }
+  return { confident: false };
+}
+
+/**
+ * 把原始值转换为源码（JSON 无法表示 undefined、NaN、Infinity 和 -0）
+ * 不使用 undefined、NaN 等全局名称，被测代码可能声明了同名变量
+ * @param {*} value - 原始值
+ * @returns {string} - 源码
+ */
+function formatConstant(value) {
+  if (value === undefined) {
+    return 'void 0';
+  }
+  if (typeof value === 'number') {
+    if (Object.is(value, -0)) {
+      return '-0';
+    }
+    if (!Number.isFinite(value)) {
+      return Number.isNaN(value) ? '0 / 0' : (value > 0 ? '1 / 0' : '-1 / 0');
+    }
+  }
+  return JSON.stringify(value);
+}
+
+module.exports = {
+  evaluateConstant,
+  formatConstant
+};
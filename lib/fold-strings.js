@@ -0,0 +1,267 @@
+/**
+ * 字符串表达式折叠：对字面量输入执行白名单中的字符串和数值内置函数，用结果替换表达式
+ *
+ *   String.fromCharCode(104, 105)   ->  "hi"
+ *   "abc".charAt(1)                 ->  "b"
+ *   "x".concat("y")                 ->  "xy"
+ *   "a,b".split(",")[1]             ->  "b"
+ *   atob("aGk=")                    ->  "hi"
+ *   decodeURIComponent("%41")       ->  "A"
+ *   "a" + "b" + 1                   ->  "ab1"
+ *   "\x68\u0069"                    ->  "hi"
+ *
+ * 只折叠字面量（字符串、数字、没有插值的模板字符串）作为输入的表达式，不解析变量引用；
+ * 在退出节点时处理，内层表达式先折叠为字面量，外层表达式可以继续折叠。
+ * 内置函数是否被局部声明覆盖按作用域判断，被覆盖时不折叠。结果为 NaN、Infinity、undefined 或求值抛出异常时不折叠
+ */
+
+const t = require('@babel/types');
+const traverse = require('@babel/traverse').default;
+const { createStringLiteral, getMemberPropertyName, inheritLocation } = require('./ast-utils');
+
+/**
+ * 可以折叠的字符串方法（结果只取决于接收者和参数，不会生成超出输入长度太多的字符串）
+ */
+const STRING_METHODS = new Set([
+  'charAt', 'charCodeAt', 'codePointAt', 'concat', 'indexOf', 'lastIndexOf',
+  'slice', 'substring', 'substr', 'toLowerCase', 'toUpperCase', 'trim', 'trimStart', 'trimEnd'
+]);
+
+/**
+ * 可以折叠的静态方法
+ */
+const STATIC_FUNCTIONS = {
+  String: {
+    fromCharCode: String.fromCharCode,
+    fromCodePoint: String.fromCodePoint
+  }
+};
+
+/**
+ * 可以折叠的全局函数
+ */
+const GLOBAL_FUNCTIONS = {
+  atob,
+  decodeURIComponent,
+  decodeURI,
+  unescape
+};
+
+/**
+ * 获取字面量节点的值
+ * @param {Object} node - AST节点
+ * @returns {Object|null} - { value }，不是字符串或数字字面量时返回 null
+ */
+function getLiteralValue(node) {
+  if (t.isStringLiteral(node) || t.isNumericLiteral(node)) {
+    return { value: node.value };
+  }
+  if (t.isTemplateLiteral(node) && node.expressions.length === 0 && typeof node.quasis[0].value.cooked === 'string') {
+    return { value: node.quasis[0].value.cooked };
+  }
+  if (t.isUnaryExpression(node, { operator: '-' }) && t.isNumericLiteral(node.argument)) {
+    return { value: -node.argument.value };
+  }
+  return null;
+}
+
+/**
+ * 获取参数列表的字面量值
+ * @param {Array} nodes - 参数节点
+ * @returns {Array|null} - 参数值，任一参数不是字面量时返回 null
+ */
+function getLiteralArguments(nodes) {
+  const values = [];
+  for (const node of nodes) {
+    const literal = getLiteralValue(node);
+    if (!literal) {
+      return null;
+    }
+    values.push(literal.value);
+  }
+  return values;
+}
+
+/**
+ * 检查标识符是否引用全局对象（没有被局部声明覆盖）
+ * @param {Object} path - 当前节点路径
+ * @param {Object} node - 标识符节点
+ * @returns {boolean} - 是否是全局引用
+ */
+function isGlobalReference(path, node) {
+  return t.isIdentifier(node) && !path.scope.hasBinding(node.name, true);
+}
+
+/**
+ * 计算调用表达式的值
+ * @param {Object} path - CallExpression 路径
+ * @returns {Object|null} - { value }，不能折叠时返回 null
+ */
+function evaluateCall(path) {
+  const { callee } = path.node;
+  const args = getLiteralArguments(path.node.arguments);
+  if (!args) {
+    return null;
+  }
+
+  // atob("...")、decodeURIComponent("...")
+  if (isGlobalReference(path, callee) && Object.prototype.hasOwnProperty.call(GLOBAL_FUNCTIONS, callee.name)) {
+    return args.every(arg => typeof arg === 'string') ? { value: GLOBAL_FUNCTIONS[callee.name](...args) } : null;
+  }
+  if (!t.isMemberExpression(callee)) {
+    return null;
+  }
+  const method = getMemberPropertyName(callee);
+
+  // String.fromCharCode(...)
+  if (isGlobalReference(path, callee.object) && Object.prototype.hasOwnProperty.call(STATIC_FUNCTIONS, callee.object.name)) {
+    const functions = STATIC_FUNCTIONS[callee.object.name];
+    return Object.prototype.hasOwnProperty.call(functions, method) ? { value: functions[method](...args) } : null;
+  }
+
+  // "abc".charAt(1)
+  const receiver = getLiteralValue(callee.object);
+  if (receiver && typeof receiver.value === 'string' && STRING_METHODS.has(method)) {
+    return { value: String.prototype[method].apply(receiver.value, args) };
+  }
+  return null;
+}
+
+/**
+ * 计算成员表达式的值："abc".length、"abc"[1]、"a,b".split(",")[1]
+ * @param {Object} path - MemberExpression 路径
+ * @returns {Object|null} - { value }，不能折叠时返回 null
+ */
+function evaluateMember(path) {
+  const { object, property, computed } = path.node;
+  const receiver = getLiteralValue(object);
+  if (receiver && typeof receiver.value === 'string') {
+    if (getMemberPropertyName(path.node) === 'length') {
+      return { value: receiver.value.length };
+    }
+    return computed && t.isNumericLiteral(property) ? { value: receiver.value[property.value] } : null;
+  }
+
+  if (!computed || !t.isNumericLiteral(property) || !t.isCallExpression(object) ||
+      !t.isMemberExpression(object.callee) || getMemberPropertyName(object.callee) !== 'split') {
+    return null;
+  }
+  const source = getLiteralValue(object.callee.object);
+  const args = getLiteralArguments(object.arguments);
+  if (!source || typeof source.value !== 'string' || !args || args.length > 2 ||
+      (args.length > 0 && typeof args[0] !== 'string')) {
+    return null;
+  }
+  return { value: source.value.split(...args)[property.value] };
+}
+
+/**
+ * 计算 + 运算的值（至少一侧是字符串）
+ * @param {Object} path - BinaryExpression 路径
+ * @returns {Object|null} - { value }，不能折叠时返回 null
+ */
+function evaluateConcatenation(path) {
+  if (path.node.operator !== '+') {
+    return null;
+  }
+  const left = getLiteralValue(path.node.left);
+  const right = getLiteralValue(path.node.right);
+  if (!left || !right || (typeof left.value !== 'string' && typeof right.value !== 'string')) {
+    return null;
+  }
+  return { value: left.value + right.value };
+}
+
+/**
+ * 把折叠结果转换为字面量节点
+ * @param {*} value - 折叠结果
+ * @returns {Object|null} - StringLiteral 或数字字面量节点，结果不是字符串或有限数字时返回 null
+ */
+function toLiteralNode(value) {
+  if (typeof value === 'string') {
+    return createStringLiteral(value);
+  }
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return t.valueToNode(value);
+  }
+  return null;
+}
+
+/**
+ * 检查字符串字面量的源码中是否有 \x 或 \u 转义序列
+ * @param {Object} node - StringLiteral 节点
+ * @returns {boolean} - 是否有十六进制或 Unicode 转义
+ */
+function hasHexEscape(node) {
+  return !!node.extra && /(^|[^\\])(\\\\)*\\[xu]/.test(node.extra.raw);
+}
+
+/**
+ * 折叠AST中的字符串表达式（直接修改AST）
+ * @param {Object} ast - Babel AST
+ * @param {Object} config - 配置对象
+ * @returns {Object} - { folded: 每处折叠的 { line, column, value }（列号从 1 开始）, decodedEscapes: 解码转义序列的字面量数量 }
+ */
+function foldStringExpressions(ast, config) {
+  // 折叠得到的节点到折叠记录的映射；外层表达式继续折叠时，内层的记录合并到外层
+  const foldedNodes = new Map();
+  let decodedEscapes = 0;
+
+  const fold = (path, evaluate) => {
+    // 赋值和 delete 的目标、被调用的成员表达式不能替换为字面量
+    if (path.parentPath.isAssignmentExpression({ left: path.node }) || path.parentPath.isUpdateExpression() ||
+        path.parentPath.isUnaryExpression({ operator: 'delete' }) || path.parentPath.isCallExpression({ callee: path.node })) {
+      return;
+    }
+    let value;
+    let node = null;
+    try {
+      const result = evaluate(path);
+      if (result) {
+        value = result.value;
+        node = toLiteralNode(value);
+      }
+    } catch (error) {
+      // 求值抛出异常（URIError、无效的 base64 等）时保持原样
+    }
+    if (!node) {
+      return;
+    }
+    path.traverse({
+      enter(innerPath) {
+        foldedNodes.delete(innerPath.node);
+      }
+    });
+    const { line, column } = path.node.loc.start;
+    path.replaceWith(inheritLocation(node, path.node));
+    foldedNodes.set(node, { line, column: column + 1, value });
+  };
+
+  traverse(ast, {
+    CallExpression: { exit(path) { fold(path, evaluateCall); } },
+    MemberExpression: { exit(path) { fold(path, evaluateMember); } },
+    BinaryExpression: { exit(path) { fold(path, evaluateConcatenation); } },
+    StringLiteral(path) {
+      if (!hasHexEscape(path.node)) {
+        return;
+      }
+      const node = createStringLiteral(path.node.value);
+      if (node.extra.raw !== path.node.extra.raw) {
+        path.node.extra = node.extra;
+        decodedEscapes++;
+      }
+    }
+  });
+
+  const folded = Array.from(foldedNodes.values()).sort((a, b) => a.line - b.line || a.column - b.column);
+  if (config.verbose) {
+    folded.forEach(({ line, column, value }) => {
+      config.logger.log(`  [字符串折叠] 第 ${line} 行第 ${column} 列: ${JSON.stringify(value)}`);
+    });
+  }
+  return { folded, decodedEscapes };
+}
+
+module.exports = {
+  foldStringExpressions
+};
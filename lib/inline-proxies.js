@@ -0,0 +1,290 @@
+/**
+ * 代理对象内联：混淆器把字符串常量和运算符、调用包装成对象属性，在解密函数调用替换之后逐个内联
+ *
+ *   const vO162 = { zcNMR: function (a, b) { return a ^ b; }, XAAUK: "token" };
+ *   vO162.zcNMR(598068, 598060)  ->  598068 ^ 598060
+ *   vO162.XAAUK                  ->  "token"
+ *
+ * 只处理所有属性都是字符串常量或单表达式函数包装、所有引用都只读取属性的对象：
+ * 能内联的引用逐个内联（实参有副作用的调用、读取原型上的方法等保持原样），没有剩余引用时删除对象
+ */
+
+const t = require('@babel/types');
+const { getMemberPropertyName, inheritLocation, isRemovedPath, isSideEffectFree, refreshMovedPaths } = require('./ast-utils');
+
+/**
+ * 获取对象属性的键名（key 或 'key'）
+ * @param {Object} property - ObjectProperty 节点
+ * @returns {string|null} - 键名
+ */
+function getPropertyKeyName(property) {
+  if (property.computed) {
+    return null;
+  }
+  if (property.key.type === 'Identifier') {
+    return property.key.name;
+  }
+  if (property.key.type === 'StringLiteral') {
+    return property.key.value;
+  }
+  return null;
+}
+
+/**
+ * 分析函数包装属性：函数体只有一条 return，返回由形参组成的二元运算、逻辑运算或调用，每个形参恰好使用一次
+ * @param {Object} funcNode - FunctionExpression 节点
+ * @returns {Object|null} - { expression: 返回的表达式, order: 各操作数对应的形参下标 }，不是函数包装时返回 null
+ */
+function getProxyTemplate(funcNode) {
+  if (funcNode.async || funcNode.generator) {
+    return null;
+  }
+  const body = funcNode.body.body;
+  if (body.length !== 1 || body[0].type !== 'ReturnStatement' || !body[0].argument) {
+    return null;
+  }
+
+  const params = [];
+  for (const param of funcNode.params) {
+    if (param.type !== 'Identifier' || params.includes(param.name)) {
+      return null;
+    }
+    params.push(param.name);
+  }
+
+  const expression = body[0].argument;
+  let operands;
+  if (expression.type === 'BinaryExpression' || expression.type === 'LogicalExpression') {
+    operands = [expression.left, expression.right];
+  } else if (expression.type === 'CallExpression') {
+    operands = [expression.callee, ...expression.arguments];
+  } else {
+    return null;
+  }
+
+  const order = operands.map(node => node.type === 'Identifier' ? params.indexOf(node.name) : -1);
+  if (order.length !== params.length || order.includes(-1) || new Set(order).size !== params.length) {
+    return null;
+  }
+  return { expression, order };
+}
+
+/**
+ * 检查调用代理函数的实参能否按模板重新排列
+ * 操作数顺序与形参顺序不同时实参必须没有副作用；逻辑运算的右操作数可能不再求值，同样必须没有副作用
+ * @param {Object} template - getProxyTemplate 的分析结果
+ * @param {Array} args - 实参节点
+ * @returns {boolean} - 是否可以内联
+ */
+function canInlineCall(template, args) {
+  if (args.length !== template.order.length || args.some(arg => arg.type === 'SpreadElement')) {
+    return false;
+  }
+  const reordered = template.order.some((paramIndex, i) => paramIndex !== i);
+  if (reordered && !args.every(isSideEffectFree)) {
+    return false;
+  }
+  if (template.expression.type === 'LogicalExpression' && !isSideEffectFree(args[template.order[1]])) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * 按模板构造内联后的表达式（实参节点直接复用，每个实参只出现一次）
+ * @param {Object} template - getProxyTemplate 的分析结果
+ * @param {Array} args - 实参节点
+ * @returns {Object} - 新的表达式节点
+ */
+function buildInlinedExpression(template, args) {
+  const operands = template.order.map(paramIndex => args[paramIndex]);
+  const { expression } = template;
+  if (expression.type === 'BinaryExpression') {
+    return t.binaryExpression(expression.operator, operands[0], operands[1]);
+  }
+  if (expression.type === 'LogicalExpression') {
+    return t.logicalExpression(expression.operator, operands[0], operands[1]);
+  }
+  // 成员表达式作为被调用者时会改变 this，用 (0, obj.fn) 保持原来的调用方式
+  let callee = operands[0];
+  if (t.isMemberExpression(callee) || t.isOptionalMemberExpression(callee)) {
+    callee = t.sequenceExpression([t.numericLiteral(0), callee]);
+  }
+  return t.callExpression(callee, operands.slice(1));
+}
+
+/**
+ * 识别代理对象
+ * @param {Object} declPath - VariableDeclarator 路径（初始值为对象字面量）
+ * @returns {Object|null} - { name, binding, properties: 键名到属性信息的映射 }，不是代理对象时返回 null
+ */
+function getProxyObject(declPath) {
+  const { id, init } = declPath.node;
+  if (id.type !== 'Identifier' || init.properties.length === 0) {
+    return null;
+  }
+  const binding = declPath.scope.getBinding(id.name);
+  if (!binding || binding.path !== declPath || binding.constantViolations.length > 0) {
+    return null;
+  }
+  if (declPath.parentPath.parentPath.isExportNamedDeclaration()) {
+    return null;
+  }
+
+  const properties = new Map();
+  for (const property of init.properties) {
+    if (property.type !== 'ObjectProperty') {
+      return null;
+    }
+    const keyName = getPropertyKeyName(property);
+    if (keyName === null || properties.has(keyName)) {
+      return null;
+    }
+    if (property.value.type === 'StringLiteral') {
+      properties.set(keyName, { kind: 'string', node: property.value });
+    } else if (property.value.type === 'FunctionExpression') {
+      const template = getProxyTemplate(property.value);
+      if (!template) {
+        return null;
+      }
+      properties.set(keyName, { kind: 'function', node: property.value, template });
+    } else {
+      return null;
+    }
+  }
+
+  return { name: id.name, binding, properties };
+}
+
+/**
+ * 确定单个属性引用的内联方式
+ * @param {Object|undefined} property - 引用的属性信息（未定义的属性为 undefined）
+ * @param {Object} member - 引用属性的 MemberExpression 路径
+ * @returns {Object|null} - 内联操作（{ path, build }），无法内联时返回 null
+ */
+function planMemberUse(property, member) {
+  // 读取未定义的属性（例如原型上的方法）时保持原样
+  if (!property) {
+    return null;
+  }
+  const parent = member.parentPath;
+  const isCallee = parent.isCallExpression({ callee: member.node });
+  if (property.kind === 'string') {
+    return isCallee ? null : { path: member, build: () => t.stringLiteral(property.node.value) };
+  }
+  if (isCallee) {
+    if (!canInlineCall(property.template, parent.node.arguments)) {
+      return null;
+    }
+    return { path: parent, build: () => buildInlinedExpression(property.template, parent.node.arguments) };
+  }
+  if (parent.isObjectProperty({ value: member.node })) {
+    // 其他代理对象转引用的函数属性（{ KssZg: vO37.Mtbjo }）复制函数本身，之后随该代理对象一起内联
+    return { path: member, build: () => t.cloneNode(property.node, true) };
+  }
+  return null;
+}
+
+/**
+ * 为代理对象的每个引用确定内联方式
+ * 对象本身被传出（作为参数、赋值给其他变量等）或属性被赋值、删除时属性值不再确定，不内联任何引用
+ * @param {Object} proxy - getProxyObject 的识别结果
+ * @returns {Object|null} - { uses: 内联操作列表（{ path, build }）, kept: 保持原样的引用数量 }，
+ *   属性值不确定时返回 null
+ */
+function planProxyUses(proxy) {
+  const uses = [];
+  let kept = 0;
+  for (const ref of proxy.binding.referencePaths) {
+    if (isRemovedPath(ref)) {
+      continue;
+    }
+    const member = ref.parentPath;
+    if (!member.isMemberExpression({ object: ref.node })) {
+      return null;
+    }
+    if (!t.isReferenced(member.node, member.parent, member.parentPath.parent) ||
+        member.parentPath.isUpdateExpression() || member.parentPath.isUnaryExpression({ operator: 'delete' })) {
+      return null;
+    }
+
+    const use = planMemberUse(proxy.properties.get(getMemberPropertyName(member.node)), member);
+    if (use) {
+      uses.push(use);
+    } else {
+      kept++;
+    }
+  }
+  return { uses, kept };
+}
+
+/**
+ * 内联代理对象的属性引用并删除不再使用的代理对象
+ * @param {Object} index - 程序索引（objectLiterals 为初始值是对象字面量的变量声明）
+ * @param {Object} config - 配置对象
+ * @returns {Object} - { inlinedUses: 内联的引用数量, removedObjects: 删除的代理对象名 }
+ */
+function inlineProxyObjects(index, config) {
+  let inlinedUses = 0;
+  const removedObjects = [];
+  const sitesByNode = new Map(index.calls.map(site => [site.path.node, site]));
+
+  // 按源码顺序处理：外层的代理对象先内联，引用它的代理对象随后才能被识别
+  index.objectLiterals.forEach(declPath => {
+    if (isRemovedPath(declPath) || !t.isObjectExpression(declPath.node.init)) {
+      return;
+    }
+    const proxy = getProxyObject(declPath);
+    if (!proxy) {
+      return;
+    }
+    const plan = planProxyUses(proxy);
+    if (!plan) {
+      if (config.verbose) {
+        config.logger.log(`  [跳过] 属性可能被修改的代理对象: ${proxy.name}`);
+      }
+      return;
+    }
+    const { uses, kept } = plan;
+    if (uses.length === 0) {
+      return;
+    }
+
+    // 由内到外替换：嵌套调用 vO.a(vO.b(x, y), z) 的外层在内层替换之后才构造
+    uses.forEach(use => {
+      use.depth = 0;
+      for (let parent = use.path.parentPath; parent; parent = parent.parentPath) {
+        use.depth++;
+      }
+    });
+    uses.sort((a, b) => b.depth - a.depth);
+    uses.forEach(({ path, build }) => {
+      const original = config.verbose ? path.toString() : null;
+      path.replaceWith(inheritLocation(build(), path.node));
+      refreshMovedPaths(path, sitesByNode);
+      inlinedUses++;
+      if (config.verbose) {
+        config.logger.log(`  [代理对象] ${original} -> ${path.toString()}`);
+      }
+    });
+
+    if (kept > 0) {
+      if (config.verbose) {
+        config.logger.log(`  [代理对象] ${proxy.name} 还有 ${kept} 处引用无法内联，保留对象`);
+      }
+      return;
+    }
+    declPath.remove();
+    removedObjects.push(proxy.name);
+  });
+
+  if (config.verbose && removedObjects.length > 0) {
+    config.logger.log(`  [代理对象] 删除代理对象: ${removedObjects.join(', ')}`);
+  }
+
+  return { inlinedUses, removedObjects };
+}
+
+module.exports = {
+  inlineProxyObjects
+};
@@ -0,0 +1,281 @@
+/**
+ * 包装函数内联：把对偏移转发包装函数的调用改写为对解密函数的直接调用，并删除不再使用的包装函数
+ *
+ *   function f4(a, b, c, d, e) { return f30(e - 928, c); }
+ *   f4(1, 2, "x", 4, 1000)  ->  f30(72, "x")
+ *   f4(1, 2, key, 4, 1000)  ->  f30(72, key)
+ *
+ * 参数只有部分是常量的调用也会被改写，转发后可以求值的参数会被折叠为常量
+ */
+
+const t = require('@babel/types');
+const { getForwardCall } = require('./detect-decoders');
+const { findRemovableDeclarations, inheritLocation, isSideEffectFree, refreshMovedPaths } = require('./ast-utils');
+
+/**
+ * 按求值顺序列出表达式中使用的形参
+ * @param {Object} node - 转发调用的参数节点
+ * @param {Array} params - 包装函数的形参名
+ * @param {Array} uses - 形参名列表，每次使用记录一次（会被直接修改）
+ */
+function listParamUses(node, params, uses) {
+  if (node.type === 'Identifier') {
+    if (params.includes(node.name)) {
+      uses.push(node.name);
+    }
+  } else if (node.type === 'UnaryExpression') {
+    listParamUses(node.argument, params, uses);
+  } else if (node.type === 'BinaryExpression') {
+    listParamUses(node.left, params, uses);
+    listParamUses(node.right, params, uses);
+  }
+}
+
+/**
+ * 检查实参是否只由字面量组成（不读取变量），这样的实参可以和有副作用的实参交换求值顺序
+ * @param {Object} node - 实参节点
+ * @returns {boolean} - 是否只由字面量和无副作用的运算组成
+ */
+function isLiteralArgument(node) {
+  switch (node.type) {
+    case 'NumericLiteral':
+    case 'StringLiteral':
+    case 'BooleanLiteral':
+    case 'NullLiteral':
+      return true;
+    case 'UnaryExpression':
+      return isSideEffectFree(node) && isLiteralArgument(node.argument);
+    case 'BinaryExpression':
+      return isSideEffectFree(node) && isLiteralArgument(node.left) && isLiteralArgument(node.right);
+    default:
+      return false;
+  }
+}
+
+/**
+ * 用实参替换转发参数中的形参
+ * @param {Object} node - 转发调用的参数节点（只包含形参、字面量和加减运算）
+ * @param {Map} values - 形参名到实参节点的映射
+ * @param {Map} counts - 形参名到出现次数的映射，只出现一次的实参直接复用原节点
+ * @returns {Object} - 新的参数节点
+ */
+function substituteParams(node, values, counts) {
+  if (node.type === 'Identifier') {
+    const value = values.get(node.name);
+    return counts.get(node.name) === 1 ? value : t.cloneNode(value, true);
+  }
+  if (node.type === 'UnaryExpression') {
+    return t.unaryExpression(node.operator, substituteParams(node.argument, values, counts));
+  }
+  if (node.type === 'BinaryExpression') {
+    return t.binaryExpression(node.operator, substituteParams(node.left, values, counts), substituteParams(node.right, values, counts));
+  }
+  return t.cloneNode(node, true);
+}
+
+/**
+ * 按包装函数的转发调用构造新的实参
+ * 实参会被丢弃或重复求值时必须没有副作用，并且最多只有一个有副作用的实参；
+ * 有副作用的实参会修改变量（w(x, x = 5)），读取变量的实参不能移到它的另一侧，只有字面量可以
+ * @param {Object} forward - getForwardCall 的分析结果
+ * @param {Array} args - 调用包装函数的实参节点
+ * @returns {Array|null} - 转发调用的实参节点，无法安全改写时返回 null
+ */
+function forwardArguments(forward, args) {
+  if (args.some(arg => arg.type === 'SpreadElement')) {
+    return null;
+  }
+
+  const uses = [];
+  forward.call.arguments.forEach(arg => listParamUses(arg, forward.params, uses));
+  const counts = new Map(forward.params.map(name => [name, 0]));
+  uses.forEach(name => counts.set(name, counts.get(name) + 1));
+  // 同名形参只有最后一个生效，之前的实参被丢弃
+  const isUsedParam = i => i < forward.params.length && forward.params.indexOf(forward.params[i], i + 1) === -1;
+
+  let effectful = -1;
+  for (let i = 0; i < args.length; i++) {
+    if (isSideEffectFree(args[i])) {
+      continue;
+    }
+    if (effectful !== -1 || !isUsedParam(i) || counts.get(forward.params[i]) !== 1) {
+      return null;
+    }
+    effectful = i;
+  }
+
+  if (effectful !== -1) {
+    const position = uses.indexOf(forward.params[effectful]);
+    for (let i = 0; i < args.length; i++) {
+      if (i === effectful || !isUsedParam(i) || isLiteralArgument(args[i])) {
+        continue;
+      }
+      // 原来在有副作用的实参之前求值的实参，转发后的每次使用也必须在它之前，反之亦然
+      const before = i < effectful;
+      if (uses.some((name, k) => name === forward.params[i] && (k < position) !== before)) {
+        return null;
+      }
+    }
+  }
+
+  const values = new Map();
+  forward.params.forEach((name, i) => {
+    values.set(name, i < args.length ? args[i] : t.unaryExpression('void', t.numericLiteral(0)));
+  });
+
+  return forward.call.arguments.map(arg => foldArgument(substituteParams(arg, values, counts)));
+}
+
+/**
+ * 计算只由数字、字符串字面量和加减运算组成的表达式
+ * @param {Object} node - AST节点
+ * @returns {Object} - { confident, value }
+ */
+function evaluateOffsetExpression(node) {
+  if (node.type === 'NumericLiteral' || node.type === 'StringLiteral') {
+    return { confident: true, value: node.value };
+  }
+  if (node.type === 'UnaryExpression' && ['-', '+'].includes(node.operator)) {
+    const argument = evaluateOffsetExpression(node.argument);
+    if (argument.confident) {
+      return { confident: true, value: node.operator === '-' ? -argument.value : +argument.value };
+    }
+  }
+  if (node.type === 'BinaryExpression' && ['+', '-'].includes(node.operator)) {
+    const left = evaluateOffsetExpression(node.left);
+    const right = evaluateOffsetExpression(node.right);
+    if (left.confident && right.confident) {
+      return { confident: true, value: node.operator === '+' ? left.value + right.value : left.value - right.value };
+    }
+  }
+  return { confident: false };
+}
+
+/**
+ * 折叠转发后的参数：能求值为有限数字或字符串时替换为字面量
+ * @param {Object} node - 参数节点
+ * @returns {Object} - 折叠后的参数节点
+ */
+function foldArgument(node) {
+  if (node.type === 'NumericLiteral' || node.type === 'StringLiteral') {
+    return node;
+  }
+  const { confident, value } = evaluateOffsetExpression(node);
+  if (confident && (typeof value === 'string' || Number.isFinite(value))) {
+    return t.valueToNode(value);
+  }
+  return node;
+}
+
+/**
+ * 获取包装函数的函数节点路径
+ * @param {Object} wrapperInfo - 包装函数信息
+ * @returns {Object} - FunctionDeclaration、FunctionExpression 或 ArrowFunctionExpression 的路径
+ */
+function getWrapperFunctionPath(wrapperInfo) {
+  return wrapperInfo.type === 'declaration' ? wrapperInfo.path : wrapperInfo.path.get('init');
+}
+
+/**
+ * 内联包装函数调用并删除不再使用的包装函数
+ * 索引中的调用点和函数定义会同步更新：被改写的调用点保留原来的调用点键，被删除的包装函数从索引中移除
+ * @param {Object} index - 程序索引（会被直接修改）
+ * @param {Object} detected - detectDecoderFunctions 的识别结果（wrappers 会被直接修改）
+ * @param {Object} config - 配置对象
+ * @returns {Object} - { inlinedCalls: 改写的调用数量, removedWrappers: 删除的包装函数名 }
+ */
+function inlineForwardingWrappers(index, detected, config) {
+  const wrapperByBinding = new Map();
+  const wrapperFunctionNodes = new Set();
+  detected.wrappers.forEach(wrapperInfo => {
+    const forward = getForwardCall(wrapperInfo);
+    if (forward) {
+      wrapperByBinding.set(wrapperInfo.binding, { info: wrapperInfo, forward });
+      wrapperFunctionNodes.add(getWrapperFunctionPath(wrapperInfo).node);
+    }
+  });
+
+  const rewrittenCallees = new Set();
+  const sitesByNode = new Map(index.calls.map(site => [site.path.node, site]));
+  let inlinedCalls = 0;
+
+  index.calls.forEach(site => {
+    const callPath = site.path;
+    const callee = callPath.node.callee;
+    if (callee.type !== 'Identifier' || !wrapperByBinding.has(callPath.scope.getBinding(callee.name))) {
+      return;
+    }
+    // 包装函数之间的转发调用保持原样，随包装函数一起删除
+    if (callPath.findParent(p => wrapperFunctionNodes.has(p.node))) {
+      return;
+    }
+
+    // 逐层展开：包装函数可以转发给其他包装函数
+    let wrapper = wrapperByBinding.get(callPath.scope.getBinding(callee.name));
+    let args = callPath.node.arguments;
+    let target = null;
+    while (wrapper) {
+      const targetName = wrapper.forward.target.identifier.name;
+      // 被转发的函数在调用点必须解析到同一个绑定
+      if (callPath.scope.getBinding(targetName) !== wrapper.forward.target) {
+        break;
+      }
+      const forwardedArgs = forwardArguments(wrapper.forward, args);
+      if (!forwardedArgs) {
+        break;
+      }
+      args = forwardedArgs;
+      target = wrapper.forward.target;
+      wrapper = wrapperByBinding.get(target);
+    }
+
+    if (!target) {
+      if (config.verbose) {
+        config.logger.log(`  [跳过] 无法安全内联的包装函数调用: ${callPath.toString()}`);
+      }
+      return;
+    }
+
+    const callExpression = config.verbose ? callPath.toString() : null;
+    rewrittenCallees.add(callee);
+    callPath.node.callee = inheritLocation(t.identifier(target.identifier.name), callPath.node.callee);
+    callPath.node.arguments = args;
+    target.reference(callPath.get('callee'));
+    callPath.get('arguments').forEach(argPath => refreshMovedPaths(argPath, sitesByNode));
+    site.name = target.identifier.name;
+    inlinedCalls++;
+
+    if (config.verbose) {
+      config.logger.log(`  [内联] ${callExpression} -> ${callPath.toString()}`);
+    }
+  });
+
+  // 删除所有引用都已被改写的包装函数（包装函数之间的引用随包装函数一起删除）
+  const removable = findRemovableDeclarations(detected.wrappers, ref => rewrittenCallees.has(ref.node));
+  const removedCalls = new Set();
+  const removedWrappers = [];
+  removable.forEach(wrapperInfo => {
+    const wrapper = wrapperByBinding.get(wrapperInfo.binding);
+    if (wrapper) {
+      removedCalls.add(wrapper.forward.call);
+    }
+    wrapperInfo.path.remove();
+    removedWrappers.push(wrapperInfo.name);
+  });
+
+  if (removable.size > 0) {
+    index.functions = index.functions.filter(funcInfo => !removable.has(funcInfo));
+    index.calls = index.calls.filter(site => !removedCalls.has(site.path.node));
+    detected.wrappers = detected.wrappers.filter(wrapperInfo => !removable.has(wrapperInfo));
+  }
+
+  if (config.verbose && removedWrappers.length > 0) {
+    config.logger.log(`  [内联] 删除包装函数: ${removedWrappers.join(', ')}`);
+  }
+
+  return { inlinedCalls, removedWrappers };
+}
+
+module.exports = {
+  inlineForwardingWrappers
+};
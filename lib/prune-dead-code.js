@@ -0,0 +1,327 @@
+/**
+ * 死代码删除：按常量条件删除不可达的分支，删除无条件跳转之后的语句，以及由此变成空操作的函数
+ *
+ *   if (true != false) { return; } a();     ->  return;
+ *   "abc" === "abc" ? x : y                 ->  x
+ *   !0 && init()                            ->  init()
+ *   while (false) { ... }                   ->  （删除）
+ *   function f3() { if (true) return; ... }  f3(1, 2);    ->  （都删除）
+ *
+ * 在调用替换、代理对象内联和控制流还原之后执行，解密结果和内联得到的比较（vO.HDgdD("abc", "abc")）同样参与判断。
+ * 条件用 evaluateConstant 求值，只有能确定为原始值的条件才处理。
+ * 被删除的代码中声明的 var 变量在其他地方仍被使用时保留为不带初始值的声明（变量提升），
+ * 跳转之后的函数声明同样会被提升，不删除；跳转之后的 let、const、class 声明在保留的代码中仍被引用时同样不删除
+ * （引用在运行时处于暂时性死区，删除声明会让引用变成对全局变量的访问）。
+ * 只删除在本轮处理中变成空操作的函数；原本就为空的函数（例如供其他脚本调用的全局函数）保持原样
+ */
+
+const t = require('@babel/types');
+const traverse = require('@babel/traverse').default;
+const { findRemovableDeclarations, isRemovedPath, isSideEffectFree, refreshMovedPaths } = require('./ast-utils');
+const { evaluateConstant } = require('./evaluate-constant');
+
+/**
+ * 求值条件表达式的真假
+ * @param {Object} path - 条件表达式路径
+ * @returns {boolean|null} - 条件的真假，不能确定时返回 null
+ */
+function evaluateTest(path) {
+  const { confident, value } = evaluateConstant(path);
+  return confident ? !!value : null;
+}
+
+/**
+ * 检查路径是否位于某个节点中（包括节点自身）
+ * @param {Object} path - 节点路径
+ * @param {Object} node - 祖先节点
+ * @returns {boolean} - 是否位于其中
+ */
+function isWithinNode(path, node) {
+  return path.node === node || !!path.findParent(p => p.node === node);
+}
+
+/**
+ * 收集被删除的代码中仍需保留的 var 变量：变量在被删除的代码之外仍有引用或赋值
+ * @param {Array} paths - 被删除的语句路径
+ * @returns {Object|null} - 不带初始值的 var 声明节点，没有需要保留的变量时返回 null
+ */
+function getHoistedVars(paths) {
+  const removedNodes = paths.map(path => path.node);
+  const names = [];
+  const visit = declPath => {
+    if (declPath.node.kind !== 'var') {
+      return;
+    }
+    Object.keys(declPath.getBindingIdentifiers()).forEach(name => {
+      const binding = declPath.scope.getBinding(name);
+      if (!binding || names.includes(name)) {
+        return;
+      }
+      const usedElsewhere = [...binding.referencePaths, ...binding.constantViolations].some(ref =>
+        !isRemovedPath(ref) && !removedNodes.some(node => isWithinNode(ref, node))
+      );
+      if (usedElsewhere) {
+        names.push(name);
+      }
+    });
+  };
+
+  paths.forEach(path => {
+    if (path.isVariableDeclaration()) {
+      visit(path);
+    }
+    path.traverse({
+      VariableDeclaration: visit,
+      Function(innerPath) {
+        innerPath.skip();
+      }
+    });
+  });
+  return names.length > 0 ? t.variableDeclaration('var', names.map(name => t.variableDeclarator(t.identifier(name)))) : null;
+}
+
+/**
+ * 从跳转之后的语句中排除仍被引用的 let、const、class 声明：
+ * 声明的绑定在要删除的语句之外仍有引用或赋值时保留整条声明，保留的声明中的引用同样算作保留的代码
+ * @param {Array} statements - 跳转之后的语句路径（不包括函数声明）
+ * @returns {Array} - 要删除的语句路径
+ */
+function excludeReferencedLexicalDeclarations(statements) {
+  let removed = statements;
+  let changed = true;
+  while (changed) {
+    const removedNodes = removed.map(path => path.node);
+    const kept = removed.filter(path => {
+      const isLexical = path.isClassDeclaration() || (path.isVariableDeclaration() && path.node.kind !== 'var');
+      return isLexical && Object.keys(path.getBindingIdentifiers()).some(name => {
+        const binding = path.scope.getBinding(name);
+        return binding && [...binding.referencePaths, ...binding.constantViolations].some(ref =>
+          !isRemovedPath(ref) && !removedNodes.some(node => isWithinNode(ref, node))
+        );
+      });
+    });
+    changed = kept.length > 0;
+    removed = removed.filter(path => !kept.includes(path));
+  }
+  return removed;
+}
+
+/**
+ * 获取保留的分支展开后的语句：块中没有 let、const、class 和函数声明时展开为其中的语句，否则保留块
+ * @param {Object|null} node - 分支节点
+ * @returns {Array} - 语句节点
+ */
+function getBranchStatements(node) {
+  if (!node) {
+    return [];
+  }
+  if (!t.isBlockStatement(node)) {
+    return [node];
+  }
+  const hasLexical = node.body.some(statement =>
+    t.isFunctionDeclaration(statement) || t.isClassDeclaration(statement) ||
+    (t.isVariableDeclaration(statement) && statement.kind !== 'var')
+  );
+  return hasLexical ? [node] : node.body;
+}
+
+/**
+ * 用语句替换语句：位于语句列表中时展开，否则包装为块
+ * @param {Object} path - 被替换的语句路径
+ * @param {Array} statements - 新的语句节点
+ * @param {Map} sitesByNode - 调用节点到调用点信息的映射（移动之后更新其中的路径）
+ */
+function replaceStatement(path, statements, sitesByNode) {
+  if (statements.length === 0) {
+    if (path.inList || path.key === 'alternate') {
+      path.remove();
+    } else {
+      path.replaceWith(t.blockStatement([]));
+    }
+    return;
+  }
+  const replacement = path.inList ? statements : [statements.length === 1 ? statements[0] : t.blockStatement(statements)];
+  path.replaceWithMultiple(replacement).forEach(newPath => refreshMovedPaths(newPath, sitesByNode));
+}
+
+/**
+ * 检查函数是否是空操作：形参都是简单标识符，函数体为空或只有不带返回值的 return
+ * @param {Object} node - 函数节点
+ * @returns {boolean} - 是否是空操作
+ */
+function isNoOpFunction(node) {
+  return node.params.every(param => t.isIdentifier(param)) &&
+    t.isBlockStatement(node.body) &&
+    node.body.body.every(statement => t.isEmptyStatement(statement) || (t.isReturnStatement(statement) && !statement.argument));
+}
+
+/**
+ * 检查引用是否是可以直接删除的空操作调用语句：f(1, "a");（参数没有副作用）
+ * @param {Object} refPath - 函数名的引用路径
+ * @returns {boolean} - 是否是可以删除的调用语句
+ */
+function isDiscardableCall(refPath) {
+  const callPath = refPath.parentPath;
+  return callPath.isCallExpression() && refPath.key === 'callee' &&
+    callPath.parentPath.isExpressionStatement() &&
+    callPath.node.arguments.every(arg => isSideEffectFree(arg));
+}
+
+/**
+ * 删除变成空操作的函数和只作为语句调用它们的调用语句
+ * @param {Object} ast - Babel AST
+ * @param {Object} index - 程序索引（exportedNames 中的函数和 originalNoOpFunctions 中原本就为空的函数不删除）
+ * @param {Object} config - 配置对象
+ * @returns {Array} - 删除的函数名
+ */
+function removeNoOpFunctions(ast, index, config) {
+  const candidates = [];
+  traverse(ast, {
+    FunctionDeclaration(path) {
+      if (path.node.id && !index.exportedNames.has(path.node.id.name) &&
+          !index.originalNoOpFunctions.has(path.node) && isNoOpFunction(path.node)) {
+        candidates.push({ name: path.node.id.name, binding: path.parentPath.scope.getBinding(path.node.id.name), path });
+      }
+    },
+    VariableDeclarator(path) {
+      const init = path.node.init;
+      if (t.isIdentifier(path.node.id) && (t.isFunctionExpression(init) || t.isArrowFunctionExpression(init)) &&
+          !index.originalNoOpFunctions.has(init) && isNoOpFunction(init)) {
+        candidates.push({ name: path.node.id.name, binding: path.scope.getBinding(path.node.id.name), path });
+      }
+    }
+  });
+
+  const removable = findRemovableDeclarations(candidates, isDiscardableCall);
+  removable.forEach(info => {
+    info.binding.referencePaths.forEach(ref => {
+      if (!isRemovedPath(ref) && isDiscardableCall(ref)) {
+        ref.parentPath.parentPath.remove();
+      }
+    });
+  });
+  removable.forEach(info => {
+    if (!isRemovedPath(info.path)) {
+      info.path.remove();
+    }
+    if (config.verbose) {
+      config.logger.log(`  [死代码] 删除空操作函数: ${info.name}`);
+    }
+  });
+  return Array.from(removable, info => info.name);
+}
+
+/**
+ * 删除不可达的分支和语句，以及变成空操作的函数（直接修改AST）
+ * @param {Object} ast - Babel AST
+ * @param {Object} index - 程序索引
+ * @param {Object} config - 配置对象
+ * @returns {Object} - { prunedBranches: 按常量条件删除的分支数量, removedStatements: 跳转之后删除的语句数量, removedFunctions: 删除的空操作函数名 }
+ */
+function pruneDeadCode(ast, index, config) {
+  const sitesByNode = new Map(index.calls.map(site => [site.path.node, site]));
+  let prunedBranches = 0;
+  let removedStatements = 0;
+
+  const logBranch = (path, description) => {
+    prunedBranches++;
+    if (config.verbose) {
+      const line = path.node.loc ? path.node.loc.start.line : '?';
+      config.logger.log(`  [死代码] 第 ${line} 行: ${description}`);
+    }
+  };
+
+  // 退出节点时处理，内层的条件先被化简，外层的语句列表中已经是化简后的结果
+  traverse(ast, {
+    IfStatement: {
+      exit(path) {
+        const truthy = evaluateTest(path.get('test'));
+        if (truthy === null) {
+          return;
+        }
+        logBranch(path, `if 条件恒为 ${truthy}`);
+        const removed = path.get(truthy ? 'alternate' : 'consequent');
+        const statements = getBranchStatements(truthy ? path.node.consequent : path.node.alternate);
+        const hoisted = removed.node ? getHoistedVars([removed]) : null;
+        replaceStatement(path, hoisted ? [...statements, hoisted] : statements, sitesByNode);
+      }
+    },
+
+    ConditionalExpression: {
+      exit(path) {
+        const truthy = evaluateTest(path.get('test'));
+        if (truthy === null) {
+          return;
+        }
+        logBranch(path, `条件表达式恒为 ${truthy}`);
+        path.replaceWith(truthy ? path.node.consequent : path.node.alternate);
+        refreshMovedPaths(path, sitesByNode);
+      }
+    },
+
+    LogicalExpression: {
+      exit(path) {
+        const { confident, value } = evaluateConstant(path.get('left'));
+        if (!confident) {
+          return;
+        }
+        const operator = path.node.operator;
+        const keepLeft = operator === '&&' ? !value : operator === '||' ? !!value : value !== null && value !== undefined;
+        logBranch(path, `${operator} 左侧恒为 ${JSON.stringify(value)}`);
+        path.replaceWith(keepLeft ? path.node.left : path.node.right);
+        // 语句位置只剩下常量时删除整条语句
+        if (keepLeft && path.parentPath.isExpressionStatement() && isSideEffectFree(path.node)) {
+          path.parentPath.remove();
+          return;
+        }
+        refreshMovedPaths(path, sitesByNode);
+      }
+    },
+
+    WhileStatement: {
+      exit(path) {
+        if (evaluateTest(path.get('test')) !== false) {
+          return;
+        }
+        logBranch(path, 'while 条件恒为 false');
+        const hoisted = getHoistedVars([path.get('body')]);
+        replaceStatement(path, hoisted ? [hoisted] : [], sitesByNode);
+      }
+    },
+
+    BlockStatement: {
+      exit(path) {
+        const body = path.get('body');
+        const jumpIndex = body.findIndex(statement =>
+          statement.isReturnStatement() || statement.isThrowStatement() ||
+          statement.isBreakStatement() || statement.isContinueStatement()
+        );
+        // 函数声明会被提升，跳转之后的函数声明仍然可以被调用
+        const unreachable = jumpIndex === -1 ? [] : excludeReferencedLexicalDeclarations(
+          body.slice(jumpIndex + 1).filter(statement => !statement.isFunctionDeclaration())
+        );
+        if (unreachable.length === 0) {
+          return;
+        }
+        if (config.verbose) {
+          const line = unreachable[0].node.loc ? unreachable[0].node.loc.start.line : '?';
+          config.logger.log(`  [死代码] 第 ${line} 行: 删除 ${body[jumpIndex].node.type.replace('Statement', '').toLowerCase()} 之后的 ${unreachable.length} 条语句`);
+        }
+        const hoisted = getHoistedVars(unreachable);
+        unreachable.forEach(statement => statement.remove());
+        if (hoisted) {
+          body[jumpIndex].insertAfter(hoisted);
+        }
+        removedStatements += unreachable.length;
+      }
+    }
+  });
+
+  const removedFunctions = removeNoOpFunctions(ast, index, config);
+  return { prunedBranches, removedStatements, removedFunctions };
+}
+
+module.exports = {
+  isNoOpFunction,
+  pruneDeadCode
+};
@@ -0,0 +1,127 @@
+/**
+ * 字符串反序还原：把对常量字符串反序的表达式替换为反序后的字符串字面量
+ *
+ *   "olleh".split("").reverse().join("")          ->  "hello"
+ *   'olleh'["split"]('')["reverse"]()["join"]('') ->  "hello"
+ *   `olleh`.split(``).reverse().join(``)          ->  "hello"
+ *   Array.from("olleh").reverse().join("")        ->  "hello"
+ *   [..."olleh"].reverse().join("")               ->  "hello"
+ *
+ * 被反序的字符串和分隔符用 evaluateConstant 求值（字面量、无插值的模板字符串、const 常量等），
+ * 转义序列由解析器还原为实际字符后再反序。split("") 按 UTF-16 编码单元拆分，
+ * Array.from 和展开运算符按码点拆分，与运行时的结果一致
+ */
+
+const t = require('@babel/types');
+const traverse = require('@babel/traverse').default;
+const { createStringLiteral, getMemberPropertyName, inheritLocation } = require('./ast-utils');
+const { evaluateConstant } = require('./evaluate-constant');
+
+/**
+ * 静态求值字符串表达式
+ * @param {Object} path - 表达式路径
+ * @returns {string|null} - 字符串的值，不能确定为字符串时返回 null
+ */
+function evaluateString(path) {
+  const { confident, value } = evaluateConstant(path);
+  return confident && typeof value === 'string' ? value : null;
+}
+
+/**
+ * 获取方法调用的接收者：obj.name(...) 或 obj["name"](...)
+ * @param {Object} path - 调用表达式路径
+ * @param {string} name - 方法名
+ * @param {number} argCount - 参数数量
+ * @returns {Object|null} - 接收者表达式的路径
+ */
+function getMethodReceiver(path, name, argCount) {
+  if (!path.isCallExpression() || path.node.arguments.length !== argCount) {
+    return null;
+  }
+  const callee = path.get('callee');
+  if (!callee.isMemberExpression() || getMemberPropertyName(callee.node) !== name) {
+    return null;
+  }
+  return callee.get('object');
+}
+
+/**
+ * 检查调用是否是全局的 Array.from(x)（Array 没有被局部声明覆盖）
+ * @param {Object} path - 调用表达式路径
+ * @returns {boolean} - 是否是 Array.from 调用
+ */
+function isArrayFromCall(path) {
+  const receiver = getMethodReceiver(path, 'from', 1);
+  return !!receiver && receiver.isIdentifier({ name: 'Array' }) && !path.scope.hasBinding('Array', true);
+}
+
+/**
+ * 计算反序表达式的结果
+ * @param {Object} path - join("") 调用的路径
+ * @returns {string|null} - 反序后的字符串，不是反序表达式时返回 null
+ */
+function evaluateReversal(path) {
+  const reversed = getMethodReceiver(path, 'join', 1);
+  if (!reversed || evaluateString(path.get('arguments.0')) !== '') {
+    return null;
+  }
+  const chars = getMethodReceiver(reversed, 'reverse', 0);
+  if (!chars) {
+    return null;
+  }
+
+  // "abc".split("")：按编码单元拆分
+  const splitSource = getMethodReceiver(chars, 'split', 1);
+  if (splitSource && evaluateString(chars.get('arguments.0')) === '') {
+    const value = evaluateString(splitSource);
+    return value === null ? null : value.split('').reverse().join('');
+  }
+
+  // Array.from("abc") 和 [..."abc"]：按码点拆分
+  let codePointSource = null;
+  if (isArrayFromCall(chars)) {
+    codePointSource = chars.get('arguments.0');
+  } else if (chars.isArrayExpression() && chars.node.elements.length === 1 && t.isSpreadElement(chars.node.elements[0])) {
+    codePointSource = chars.get('elements.0.argument');
+  }
+  if (codePointSource) {
+    const value = evaluateString(codePointSource);
+    return value === null ? null : Array.from(value).reverse().join('');
+  }
+  return null;
+}
+
+/**
+ * 还原AST中的字符串反序表达式（直接修改AST）
+ * 在退出节点时处理，内层的反序表达式先被还原，外层表达式可以继续求值
+ * @param {Object} ast - Babel AST
+ * @param {Object} config - 配置对象
+ * @returns {Array} - 每处还原的 { line, column, value }，列号从 1 开始
+ */
+function reverseStringExpressions(ast, config) {
+  const replacements = [];
+
+  traverse(ast, {
+    CallExpression: {
+      exit(path) {
+        const value = evaluateReversal(path);
+        if (value === null) {
+          return;
+        }
+        const { line, column } = path.node.loc.start;
+        if (config.verbose) {
+          config.logger.log(`  [字符串反序] 第 ${line} 行第 ${column + 1} 列: ${JSON.stringify(value)}`);
+        }
+
+        path.replaceWith(inheritLocation(createStringLiteral(value), path.node));
+        replacements.push({ line, column: column + 1, value });
+      }
+    }
+  });
+
+  return replacements;
+}
+
+module.exports = {
+  reverseStringExpressions
+};
@@ -0,0 +1,202 @@
+/**
+ * 字符串数组旋转还原：在沙箱中执行旋转函数之后读取数组的最终顺序，
+ * 把字符串数组字面量改写为旋转后的顺序，并删除旋转函数
+ *
+ *   function f19() { const vA = ["a", "b", "c"]; ... }
+ *   (function (p, p2) { const vP = p(); do { ... vP.push(vP.shift()); } while (true); })(f19, 323025);
+ *
+ * 旋转一次后结束时改写为 const vA = ["b", "c", "a"];，旋转函数被删除
+ */
+
+const t = require('@babel/types');
+const { isRemovedPath } = require('./ast-utils');
+const { isPushShiftCall } = require('./detect-decoders');
+
+/**
+ * 单次执行旋转函数时 push(shift()) 的次数上限，超出后视为死循环（校验值永远不匹配）
+ */
+const MAX_ROTATION_STEPS = 100000;
+
+/**
+ * 旋转计数变量名和计数函数名（计数函数定义在测试环境的 prelude 中）
+ */
+const ROTATION_COUNTER = '__dejsRotationSteps';
+const ROTATION_STEP_FUNCTION = '__dejsRotationStep';
+
+/**
+ * 生成测试环境中的旋转计数函数
+ * @returns {string} - 函数定义代码
+ */
+function generateRotationStepFunction() {
+  return `
+// 字符串数组旋转次数上限，避免校验值不匹配时旋转函数死循环
+function ${ROTATION_STEP_FUNCTION}(steps) {
+  if (steps >= ${MAX_ROTATION_STEPS}) {
+    throw new RangeError('字符串数组旋转超过 ${MAX_ROTATION_STEPS} 次仍未完成');
+  }
+  return steps + 1;
+}
+`;
+}
+
+/**
+ * 在旋转函数中临时加入旋转计数后生成代码，生成结束后恢复AST
+ * 每次 push(shift()) 之前计数，超过上限时抛出异常；异常被旋转函数的 catch 捕获后会在下一次旋转时再次抛出
+ * @param {Array} rotations - 结构识别得到的旋转函数
+ * @param {Function} generateCode - 生成代码的回调
+ * @returns {*} - 回调的返回值
+ */
+function withRotationGuards(rotations, generateCode) {
+  const restores = [];
+  try {
+    rotations.forEach(({ path }) => {
+      const body = path.node.callee.body.body;
+      const counter = t.variableDeclaration('let', [
+        t.variableDeclarator(t.identifier(ROTATION_COUNTER), t.numericLiteral(0))
+      ]);
+      body.unshift(counter);
+      restores.push(() => body.splice(body.indexOf(counter), 1));
+
+      const pushCalls = [];
+      path.get('callee').traverse({
+        CallExpression(callPath) {
+          if (isPushShiftCall(callPath.node)) {
+            pushCalls.push(callPath);
+          }
+        }
+      });
+      pushCalls.forEach(({ container, key, node }) => {
+        container[key] = t.sequenceExpression([
+          t.assignmentExpression('=', t.identifier(ROTATION_COUNTER),
+            t.callExpression(t.identifier(ROTATION_STEP_FUNCTION), [t.identifier(ROTATION_COUNTER)])),
+          node
+        ]);
+        restores.push(() => {
+          container[key] = node;
+        });
+      });
+    });
+    return generateCode();
+  } finally {
+    restores.reverse().forEach(restore => restore());
+  }
+}
+
+/**
+ * 按字符串数组分组旋转函数（同一个数组可能被多个旋转函数旋转）
+ * @param {Array} rotations - 结构识别得到的旋转函数
+ * @returns {Array} - [{ provider, arrayPath, paths }]
+ */
+function groupRotations(rotations) {
+  const groups = new Map();
+  rotations.forEach(({ path, provider, arrayPath }) => {
+    if (!groups.has(provider.binding)) {
+      groups.set(provider.binding, { provider, arrayPath, paths: [] });
+    }
+    groups.get(provider.binding).paths.push(path);
+  });
+  return Array.from(groups.values());
+}
+
+/**
+ * 生成读取旋转后数组的沙箱步骤（在所有立即执行函数执行之后读取）
+ * @param {Array} rotations - 结构识别得到的旋转函数
+ * @param {Map} bindingAliases - 绑定键到别名的映射
+ * @returns {Array} - [{ id: 字符串数组的绑定键, label, code }]
+ */
+function generateRotationCaptures(rotations, bindingAliases) {
+  const captures = [];
+  groupRotations(rotations).forEach(({ provider }) => {
+    const alias = bindingAliases.get(provider.key);
+    if (!alias) {
+      return;
+    }
+    captures.push({
+      id: provider.key,
+      label: `读取旋转后的字符串数组: ${provider.name}`,
+      code: provider.type === 'array' ? alias : `${alias}()`
+    });
+  });
+  return captures;
+}
+
+/**
+ * 计算旋转后的数组相对于原数组左移的位数
+ * @param {Array} original - 原数组
+ * @param {Array} rotated - 旋转后的数组
+ * @returns {number} - 左移位数，不是原数组的旋转时返回 -1
+ */
+function findRotationOffset(original, rotated) {
+  const length = original.length;
+  if (!Array.isArray(rotated) || rotated.length !== length) {
+    return -1;
+  }
+  for (let offset = 0; offset < length; offset++) {
+    if (original[offset] !== rotated[0]) {
+      continue;
+    }
+    if (rotated.every((value, i) => value === original[(i + offset) % length])) {
+      return offset;
+    }
+  }
+  return -1;
+}
+
+/**
+ * 按沙箱中读取的结果改写字符串数组并删除旋转函数
+ * 只有数组确实只被旋转（没有其他修改）、并且所有旋转函数都能删除时才改写，否则保持原样
+ * @param {Array} rotations - 结构识别得到的旋转函数
+ * @param {Map} rotatedArrays - 字符串数组的绑定键到读取结果（{ ok, value, error }）的映射
+ * @param {Object} config - 配置对象
+ * @returns {Object} - { rewrittenArrays: 改写的字符串数组名, removedRotations: 删除的旋转函数数量 }
+ */
+function applyRotatedArrays(rotations, rotatedArrays, config) {
+  const rewrittenArrays = [];
+  let removedRotations = 0;
+
+  groupRotations(rotations).forEach(({ provider, arrayPath, paths }) => {
+    const captured = rotatedArrays.get(provider.key);
+    if (!captured || !captured.ok) {
+      if (config.verbose) {
+        config.logger.log(`  [跳过] 未能读取旋转后的字符串数组 ${provider.name}: ${captured ? captured.error : '未执行'}`);
+      }
+      return;
+    }
+
+    const elements = arrayPath.node.elements;
+    const offset = findRotationOffset(elements.map(element => element.value), captured.value);
+    if (offset === -1) {
+      if (config.verbose) {
+        config.logger.log(`  [跳过] 字符串数组 ${provider.name} 的最终状态不是原数组的旋转`);
+      }
+      return;
+    }
+
+    // 只有独立语句形式的旋转函数可以直接删除
+    if (!paths.every(path => !isRemovedPath(path) && path.parentPath.isExpressionStatement())) {
+      if (config.verbose) {
+        config.logger.log(`  [跳过] 字符串数组 ${provider.name} 的旋转函数不是独立语句`);
+      }
+      return;
+    }
+
+    // 复用原来的元素节点，保留字面量的原始写法
+    elements.push(...elements.splice(0, offset));
+    paths.forEach(path => path.parentPath.remove());
+    rewrittenArrays.push(provider.name);
+    removedRotations += paths.length;
+
+    if (config.verbose) {
+      config.logger.log(`  [旋转] 字符串数组 ${provider.name} 左移 ${offset} 位, 删除 ${paths.length} 个旋转函数`);
+    }
+  });
+
+  return { rewrittenArrays, removedRotations };
+}
+
+module.exports = {
+  applyRotatedArrays,
+  generateRotationCaptures,
+  generateRotationStepFunction,
+  withRotationGuards
+};
@@ -0,0 +1,307 @@
+/**
+ * 沙箱运行环境：按环境类型生成在沙箱上下文中执行的初始化代码
+ *
+ * - bare：只有 ECMAScript 内置对象（以及静默的 console）
+ * - node：global、process、module、exports、require 等 Node.js 全局对象的模拟
+ * - browser：window、document、navigator、location、localStorage、atob、btoa、TextDecoder 等浏览器全局对象的模拟
+ *
+ * 模拟对象全部在沙箱上下文内部创建，不引用本线程的任何对象；
+ * 定时器只分配编号，回调不会执行（被测代码的反调试定时器不会在调用之间运行）。
+ * 覆盖配置在环境初始化之后应用：对象按属性深度合并到全局对象上（例如 { "location": { "hostname": "example.com" } }），
+ * 字符串作为脚本在沙箱中执行（可以定义函数）。
+ * location 的 href、host、origin 和 document.domain 由 location 的其他属性计算，覆盖 hostname 之后随之改变；
+ * 覆盖 href 或 host 时拆分为各个属性。
+ */
+
+const ENV_PROFILES = ['node', 'browser', 'bare'];
+
+/**
+ * 各环境共用的定时器模拟
+ */
+const TIMER_STUBS = `
+  let timerId = 0;
+  global.setTimeout = function () { return ++timerId; };
+  global.setInterval = function () { return ++timerId; };
+  global.setImmediate = function () { return ++timerId; };
+  global.clearTimeout = function () {};
+  global.clearInterval = function () {};
+  global.clearImmediate = function () {};
+`;
+
+/**
+ * Node.js 环境
+ */
+const NODE_PROFILE = `
+  global.global = global;
+  global.process = {
+    env: {},
+    argv: ['node', 'index.js'],
+    platform: 'linux',
+    version: 'v20.0.0',
+    versions: { node: '20.0.0' },
+    pid: 1,
+    cwd() { return '/'; },
+    exit() {},
+    on() { return this; },
+    nextTick() {},
+    hrtime() { return [0, 0]; },
+    memoryUsage() { return { rss: 0, heapTotal: 0, heapUsed: 0, external: 0 }; }
+  };
+  global.module = { exports: {} };
+  global.exports = global.module.exports;
+  global.require = function (name) {
+    const error = new Error("Cannot find module '" + name + "'");
+    error.code = 'MODULE_NOT_FOUND';
+    throw error;
+  };
+  global.__filename = '/index.js';
+  global.__dirname = '/';
+${TIMER_STUBS}`;
+
+/**
+ * 浏览器环境
+ */
+const BROWSER_PROFILE = `
+  const noop = function () {};
+  const createStorage = function () {
+    const data = new Map();
+    return {
+      getItem(key) { key = String(key); return data.has(key) ? data.get(key) : null; },
+      setItem(key, value) { data.set(String(key), String(value)); },
+      removeItem(key) { data.delete(String(key)); },
+      clear() { data.clear(); },
+      key(i) { const keys = Array.from(data.keys()); return i < keys.length ? keys[i] : null; },
+      get length() { return data.size; }
+    };
+  };
+  const createElement = function (tagName) {
+    return {
+      tagName: String(tagName || 'div').toUpperCase(),
+      style: {},
+      dataset: {},
+      childNodes: [],
+      children: [],
+      innerHTML: '',
+      textContent: '',
+      setAttribute: noop,
+      getAttribute() { return null; },
+      removeAttribute: noop,
+      appendChild(child) { return child; },
+      removeChild(child) { return child; },
+      insertBefore(child) { return child; },
+      addEventListener: noop,
+      removeEventListener: noop,
+      getElementsByTagName() { return []; },
+      querySelector() { return null; },
+      querySelectorAll() { return []; }
+    };
+  };
+
+  global.window = global;
+  global.self = global;
+  global.top = global;
+  global.parent = global;
+  // href、host、origin 由其他属性计算，覆盖 hostname 等属性之后保持一致
+  global.location = {
+    protocol: 'https:',
+    hostname: 'localhost',
+    port: '',
+    pathname: '/',
+    search: '',
+    hash: '',
+    get host() { return this.hostname + (this.port ? ':' + this.port : ''); },
+    set host(value) {
+      const match = /^([^:]*)(?::(\\d*))?$/.exec(String(value));
+      if (match) {
+        this.hostname = match[1];
+        this.port = match[2] || '';
+      }
+    },
+    get origin() { return this.protocol + '//' + this.host; },
+    get href() { return this.origin + this.pathname + this.search + this.hash; },
+    set href(value) {
+      const match = /^([a-z][a-z0-9+.-]*:)\\/\\/([^/?#]*)([^?#]*)(\\?[^#]*)?(#.*)?$/i.exec(String(value));
+      if (match) {
+        this.protocol = match[1].toLowerCase();
+        this.host = match[2];
+        this.pathname = match[3] || '/';
+        this.search = match[4] || '';
+        this.hash = match[5] || '';
+      }
+    },
+    assign: noop,
+    replace: noop,
+    reload: noop,
+    toString() { return this.href; }
+  };
+  let documentDomain = null;
+  global.navigator = {
+    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+    appName: 'Netscape',
+    appVersion: '5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+    language: 'zh-CN',
+    languages: ['zh-CN', 'zh'],
+    platform: 'Win32',
+    vendor: 'Google Inc.',
+    cookieEnabled: true,
+    onLine: true,
+    webdriver: false,
+    hardwareConcurrency: 8
+  };
+  global.document = {
+    cookie: '',
+    referrer: '',
+    title: '',
+    get domain() {
+      const location = global.location;
+      return documentDomain !== null ? documentDomain : location ? location.hostname : '';
+    },
+    set domain(value) { documentDomain = String(value); },
+    readyState: 'complete',
+    location: global.location,
+    documentElement: createElement('html'),
+    head: createElement('head'),
+    body: createElement('body'),
+    createElement: createElement,
+    createTextNode(text) { return { textContent: String(text) }; },
+    getElementById() { return null; },
+    getElementsByTagName() { return []; },
+    getElementsByClassName() { return []; },
+    querySelector() { return null; },
+    querySelectorAll() { return []; },
+    addEventListener: noop,
+    removeEventListener: noop
+  };
+  global.history = { length: 1, state: null, pushState: noop, replaceState: noop, back: noop, forward: noop, go: noop };
+  global.screen = { width: 1920, height: 1080, availWidth: 1920, availHeight: 1040, colorDepth: 24 };
+  global.innerWidth = 1920;
+  global.innerHeight = 969;
+  global.devicePixelRatio = 1;
+  global.localStorage = createStorage();
+  global.sessionStorage = createStorage();
+  global.addEventListener = noop;
+  global.removeEventListener = noop;
+
+  const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+  global.btoa = function (input) {
+    const text = String(input);
+    let output = '';
+    for (let i = 0; i < text.length; i += 3) {
+      const codes = [text.charCodeAt(i), text.charCodeAt(i + 1), text.charCodeAt(i + 2)];
+      if (codes.some(code => code > 0xff)) {
+        throw new Error("Failed to execute 'btoa': The string to be encoded contains characters outside of the Latin1 range.");
+      }
+      const bits = (codes[0] << 16) | ((codes[1] || 0) << 8) | (codes[2] || 0);
+      output += BASE64[(bits >> 18) & 63] + BASE64[(bits >> 12) & 63] +
+        (i + 1 < text.length ? BASE64[(bits >> 6) & 63] : '=') +
+        (i + 2 < text.length ? BASE64[bits & 63] : '=');
+    }
+    return output;
+  };
+  global.atob = function (input) {
+    const text = String(input).replace(/[\\t\\n\\f\\r ]/g, '').replace(/={1,2}$/, '');
+    if (text.length % 4 === 1 || /[^A-Za-z0-9+/]/.test(text)) {
+      throw new Error("Failed to execute 'atob': The string to be decoded is not correctly encoded.");
+    }
+    let output = '';
+    let bits = 0;
+    let count = 0;
+    for (const char of text) {
+      bits = (bits << 6) | BASE64.indexOf(char);
+      count += 6;
+      if (count >= 8) {
+        count -= 8;
+        output += String.fromCharCode((bits >> count) & 0xff);
+      }
+    }
+    return output;
+  };
+
+  global.TextEncoder = class TextEncoder {
+    get encoding() { return 'utf-8'; }
+    encode(input = '') {
+      const bytes = [];
+      for (const char of String(input)) {
+        const code = char.codePointAt(0);
+        if (code < 0x80) {
+          bytes.push(code);
+        } else if (code < 0x800) {
+          bytes.push(0xc0 | (code >> 6), 0x80 | (code & 63));
+        } else if (code < 0x10000) {
+          bytes.push(0xe0 | (code >> 12), 0x80 | ((code >> 6) & 63), 0x80 | (code & 63));
+        } else {
+          bytes.push(0xf0 | (code >> 18), 0x80 | ((code >> 12) & 63), 0x80 | ((code >> 6) & 63), 0x80 | (code & 63));
+        }
+      }
+      return new Uint8Array(bytes);
+    }
+  };
+  global.TextDecoder = class TextDecoder {
+    constructor(encoding = 'utf-8') {
+      const label = String(encoding).toLowerCase();
+      if (label !== 'utf-8' && label !== 'utf8') {
+        throw new RangeError("The encoding label provided ('" + encoding + "') is invalid.");
+      }
+    }
+    get encoding() { return 'utf-8'; }
+    decode(input) {
+      if (input === undefined) {
+        return '';
+      }
+      const bytes = input instanceof ArrayBuffer ? new Uint8Array(input) : new Uint8Array(input.buffer, input.byteOffset, input.byteLength);
+      let output = '';
+      for (let i = 0; i < bytes.length;) {
+        const byte = bytes[i];
+        const size = byte < 0x80 ? 1 : byte >= 0xf0 ? 4 : byte >= 0xe0 ? 3 : byte >= 0xc0 ? 2 : 0;
+        if (size === 0 || i + size > bytes.length) {
+          output += '\\ufffd';
+          i++;
+          continue;
+        }
+        let code = size === 1 ? byte : byte & (0xff >> (size + 1));
+        for (let j = 1; j < size; j++) {
+          code = (code << 6) | (bytes[i + j] & 63);
+        }
+        output += String.fromCodePoint(code);
+        i += size;
+      }
+      return output;
+    }
+  };
+${TIMER_STUBS}`;
+
+/**
+ * 生成运行环境的初始化代码
+ * @param {Object} config - 配置对象（env 为环境类型，envOverrides 为覆盖配置）
+ * @returns {string} - 在沙箱上下文中执行的代码
+ */
+function generateEnvironmentCode(config) {
+  const profile = { node: NODE_PROFILE, browser: BROWSER_PROFILE, bare: '' }[config.env];
+  let code = `(function (global) {${profile}})(globalThis);\n`;
+
+  const overrides = config.envOverrides;
+  if (typeof overrides === 'string') {
+    code += `\n// 覆盖配置（脚本）\n${overrides}\n`;
+  } else if (overrides) {
+    code += `
+// 覆盖配置：对象按属性深度合并，其他值直接赋值
+(function merge(target, source) {
+  Object.keys(source).forEach(function (key) {
+    const value = source[key];
+    if (value && typeof value === 'object' && !Array.isArray(value) &&
+        target[key] && typeof target[key] === 'object') {
+      merge(target[key], value);
+    } else {
+      target[key] = value;
+    }
+  });
+})(globalThis, ${JSON.stringify(overrides)});
+`;
+  }
+  return code;
+}
+
+module.exports = {
+  ENV_PROFILES,
+  generateEnvironmentCode
+};
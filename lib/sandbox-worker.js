@@ -0,0 +1,682 @@
+/**
+ * 沙箱工作线程：在独立线程的 VM 上下文中执行测试代码
+ *
+ * 主线程负责整体的执行时间预算（超时后直接终止本线程），
+ * 本线程为每个执行步骤（函数定义、立即执行函数、单个调用）设置独立的 VM 超时，
+ * 并在每个步骤开始前上报进度，便于主线程报告具体是哪个步骤超时。
+ *
+ * 调用之间的隔离（isolation）：
+ * - none：所有调用共享同一个上下文
+ * - globals：每个调用结束后将全局属性恢复到初始化完成时的快照，出错的调用之后重建上下文
+ * - fresh：每个调用都在重新初始化的上下文中执行
+ *
+ * 验证（verify）：所有调用结束后再次执行成功的调用，主线程比较两次的结果
+ *
+ * 被测代码来自不可信的样本，上下文中不放入本线程的任何对象：
+ * 全局对象的原型为 null（否则 this.constructor.constructor('return process')() 可以拿到本线程的 Function），
+ * console 和结果存储都在上下文内部创建，结果和日志通过 __dejsTakeRecords 取出后用结构化克隆复制到本线程。
+ * 步骤抛出的异常不在本线程读取，交回上下文转换为字符串（describeStepError）。
+ * 本文件使用严格模式：被测代码的 getter 等在本线程的调用栈上执行时，
+ * 通过 Error.prepareStackTrace 的 CallSite（getFunction、getThis）拿不到本线程的函数
+ */
+
+'use strict';
+
+const vm = require('vm');
+const { parentPort, workerData } = require('worker_threads');
+
+/**
+ * 将结果转换为可以跨线程传递的值
+ * @param {*} value - 调用结果
+ * @returns {Object} - { ok: true, value } 或 { ok: false, valueType }
+ */
+function toCloneable(value) {
+  try {
+    return { ok: true, value: structuredClone(value) };
+  } catch (e) {
+    return { ok: false, valueType: typeof value };
+  }
+}
+
+/**
+ * 安全地检查结果能否写成字面量（结果可能是 Proxy，检查过程中抛出异常时视为不能）
+ * @param {*} value - 调用结果（沙箱上下文中的值）
+ * @returns {boolean} - 是否可以写成字面量
+ */
+function isSafeLiteralValue(value) {
+  try {
+    return isLiteralValue(value);
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * 检查结果能否写成字面量：原始值（symbol 除外）、正则表达式、没有空位的数组和普通对象
+ * 只读取属性描述符，不触发 getter；原型不是 Object.prototype 的对象（类实例、Map 等）在传出线程时会丢失原型，
+ * 同一个对象被引用多次（包括循环引用）时字面量会变成多个独立的对象，都不能表示
+ * @param {*} value - 调用结果（沙箱上下文中的值）
+ * @param {Set} [seen] - 已经检查过的对象
+ * @returns {boolean} - 是否可以写成字面量
+ */
+function isLiteralValue(value, seen = new Set()) {
+  if (value === null || (typeof value !== 'object' && typeof value !== 'function')) {
+    return typeof value !== 'symbol';
+  }
+  if (typeof value === 'function' || seen.has(value)) {
+    return false;
+  }
+  seen.add(value);
+
+  const tag = Object.prototype.toString.call(value);
+  const keys = Reflect.ownKeys(value);
+  if (tag === '[object RegExp]') {
+    return keys.length === 1 && keys[0] === 'lastIndex' && value.lastIndex === 0;
+  }
+
+  const descriptors = Object.getOwnPropertyDescriptors(value);
+  const isDataProperty = key => typeof key === 'string' && 'value' in descriptors[key] &&
+    isLiteralValue(descriptors[key].value, seen);
+
+  if (Array.isArray(value)) {
+    const length = descriptors.length.value;
+    return keys.length === length + 1 &&
+      keys.every(key => key === 'length' || (String(Number(key)) === key && Number(key) < length)) &&
+      keys.filter(key => key !== 'length').every(isDataProperty);
+  }
+
+  const proto = Object.getPrototypeOf(value);
+  if (tag !== '[object Object]' || !proto || Object.getPrototypeOf(proto) !== null ||
+      !Object.prototype.hasOwnProperty.call(proto, 'hasOwnProperty')) {
+    return false;
+  }
+  return keys.every(key => key !== '__proto__' && descriptors[key] && descriptors[key].enumerable && isDataProperty(key));
+}
+
+/**
+ * 上报当前执行步骤
+ * @param {string} stage - 步骤类型：environment、prelude、definitions、immediate、receivers、rotation、call、verify
+ * @param {string} label - 步骤描述
+ * @param {string} [id] - 调用点键（仅 call 和 verify 步骤）
+ */
+function reportProgress(stage, label, id) {
+  parentPort.postMessage({ type: 'progress', stage, label, id });
+}
+
+/**
+ * 每个上下文中保存异常的函数（__dejsHoldError），在结果存储创建之后、被测代码执行之前读取
+ */
+const errorHolders = new WeakMap();
+
+/**
+ * 在上下文中执行单个步骤
+ * @param {Object} context - VM 上下文
+ * @param {string} code - 步骤代码
+ * @param {string} filename - 用于错误堆栈的文件名
+ * @param {number} timeout - 步骤超时时间（毫秒）
+ * @returns {Object} - { ok, value } 或 { ok: false, timedOut, error }
+ */
+function runStep(context, code, filename, timeout) {
+  try {
+    const value = vm.runInContext(code, context, { filename, timeout });
+    return { ok: true, value };
+  } catch (e) {
+    return { ok: false, ...describeStepError(context, e, timeout) };
+  }
+}
+
+/**
+ * 获取步骤抛出的异常的信息，本线程不读取异常的任何属性
+ * 被测代码抛出的可能是带 getter 的对象或 Proxy，在本线程读取 code、message 会在本线程的调用栈上执行被测代码，
+ * 因此先把异常交回上下文（__dejsHoldError 只保存引用），再在上下文中带超时地转换为字符串：
+ * 第一个字符表示是否超时（T 或 E），之后是异常信息。超时异常同样在上下文的 realm 中创建
+ * @param {Object} context - VM 上下文
+ * @param {*} error - 捕获的异常
+ * @param {number} timeout - 转换的超时时间（毫秒）
+ * @returns {Object} - { timedOut, error }
+ */
+function describeStepError(context, error, timeout) {
+  const hold = errorHolders.get(context);
+  if (hold) {
+    hold(error);
+    try {
+      const description = vm.runInContext('__dejsDescribeError()', context, { filename: 'dejs-error.js', timeout });
+      if (typeof description === 'string' && description.length > 0) {
+        return { timedOut: description[0] === 'T', error: description.slice(1) };
+      }
+    } catch (e) {
+      // 转换时超时或抛出异常，同样不读取新的异常
+    }
+  }
+  return { timedOut: false, error: '无法读取的异常' };
+}
+
+/**
+ * 在上下文中创建 console、结果存储、全局对象快照和异常转换
+ * 主线程通过 __dejsTakeRecords 取出并清空调用结果和日志，该函数使用创建时的引用，被测代码替换全局变量不影响读取。
+ * 这些函数都是不可写、不可配置的属性，被测代码不能替换，也不能用同名的 let/const 遮蔽。
+ * 全局对象的快照和恢复（__dejsSnapshotGlobals、__dejsRestoreGlobals）同样在上下文中执行：
+ * 在本线程删除上下文对象的属性不会删除上下文全局对象上的属性。
+ * 快照同时复制从全局变量可以访问到的数组和普通对象的属性，被原地修改的字符串数组（push/shift 轮转）在恢复时写回；
+ * 只能通过闭包访问的状态不在快照中，需要完全隔离时使用 fresh
+ */
+const HARNESS_BOOTSTRAP = `
+(function () {
+  const results = new Map();
+  const awaited = new Set();
+  const callLog = [];
+  const traceLog = [];
+  const silent = function () {};
+  const ownKeys = Reflect.ownKeys;
+  const deleteProperty = Reflect.deleteProperty;
+  const setProperty = Reflect.set;
+  const same = Object.is;
+  const getOwnPropertyDescriptor = Reflect.getOwnPropertyDescriptor;
+  const defineProperty = Reflect.defineProperty;
+  const getPrototypeOf = Reflect.getPrototypeOf;
+  const isArray = Array.isArray;
+  const objectPrototype = Object.prototype;
+  const internal = new Set([results, awaited, callLog, traceLog]);
+  let snapshot = new Map();
+  let contents = new Map();
+  let heldError;
+  // 数组和普通对象（原型为 Object.prototype 或 null）的属性在快照时复制，恢复时按属性描述符写回
+  const isContainer = function (value) {
+    if (value === null || typeof value !== 'object' || value === globalThis || internal.has(value)) {
+      return false;
+    }
+    if (isArray(value)) {
+      return true;
+    }
+    const proto = getPrototypeOf(value);
+    return proto === objectPrototype || proto === null;
+  };
+  const copyContents = function (value) {
+    // 最多复制 10000 个对象，超出部分恢复时保持原样
+    if (contents.has(value) || contents.size >= 10000) {
+      return;
+    }
+    let keys;
+    try {
+      if (!isContainer(value)) {
+        return;
+      }
+      keys = ownKeys(value);
+    } catch (e) {
+      // Proxy 的陷阱抛出异常时不复制
+      return;
+    }
+    const saved = new Map();
+    contents.set(value, saved);
+    for (const key of keys) {
+      try {
+        const descriptor = getOwnPropertyDescriptor(value, key);
+        if (descriptor) {
+          saved.set(key, descriptor);
+          copyContents(descriptor.value);
+        }
+      } catch (e) {
+        // 读取描述符时抛出异常的属性不记录
+      }
+    }
+  };
+  const sameDescriptor = function (current, saved) {
+    return current !== undefined &&
+      same(current.value, saved.value) &&
+      same(current.get, saved.get) &&
+      same(current.set, saved.set) &&
+      current.writable === saved.writable &&
+      current.enumerable === saved.enumerable &&
+      current.configurable === saved.configurable;
+  };
+  const restoreContents = function (object, saved) {
+    let restored = 0;
+    try {
+      for (const key of ownKeys(object)) {
+        if (!saved.has(key) && deleteProperty(object, key)) {
+          restored++;
+        }
+      }
+      // 数组的 length 在下标之后写回，截断或补齐元素
+      saved.forEach(function (descriptor, key) {
+        if (!sameDescriptor(getOwnPropertyDescriptor(object, key), descriptor) && defineProperty(object, key, descriptor)) {
+          restored++;
+        }
+      });
+    } catch (e) {
+      // 被冻结或 Proxy 陷阱抛出异常的对象保持原样
+    }
+    return restored;
+  };
+  const describeError = function (error) {
+    try {
+      const message = error && error.message;
+      return typeof message === 'string' && message ? message : String(error);
+    } catch (e) {
+      return '无法读取的异常';
+    }
+  };
+  globalThis.console = { log: silent, info: silent, warn: silent, error: silent, debug: silent };
+  globalThis.globalResults = results;
+  globalThis.globalAwaitedResults = awaited;
+  globalThis.globalCallLog = callLog;
+  globalThis.globalTraceLog = traceLog;
+  Object.defineProperty(globalThis, '__dejsTakeRecords', {
+    value: function (id) {
+      const record = {
+        hasResult: results.has(id),
+        result: results.get(id),
+        awaited: awaited.has(id),
+        callLog: callLog.splice(0),
+        traceLog: traceLog.splice(0)
+      };
+      results.delete(id);
+      awaited.delete(id);
+      return record;
+    }
+  });
+  Object.defineProperty(globalThis, '__dejsHoldError', {
+    value: function (error) {
+      heldError = error;
+    }
+  });
+  Object.defineProperty(globalThis, '__dejsDescribeError', {
+    value: function () {
+      const error = heldError;
+      heldError = undefined;
+      let timedOut = false;
+      try {
+        timedOut = error !== null && typeof error === 'object' && error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT';
+      } catch (e) {
+        // 读取 code 时抛出异常的对象不是超时
+      }
+      return (timedOut ? 'T' : 'E') + describeError(error);
+    }
+  });
+  Object.defineProperty(globalThis, '__dejsSnapshotGlobals', {
+    value: function () {
+      snapshot = new Map();
+      contents = new Map();
+      for (const key of ownKeys(globalThis)) {
+        try {
+          snapshot.set(key, globalThis[key]);
+        } catch (e) {
+          // 读取时抛出异常的 getter 不记录值，恢复时保持原样
+          snapshot.set(key, undefined);
+        }
+      }
+      snapshot.forEach(copyContents);
+    }
+  });
+  Object.defineProperty(globalThis, '__dejsRestoreGlobals', {
+    value: function () {
+      let restored = 0;
+      for (const key of ownKeys(globalThis)) {
+        // 不可删除的属性（var 变量、函数声明）保持原样
+        if (!snapshot.has(key) && deleteProperty(globalThis, key)) {
+          restored++;
+        }
+      }
+      snapshot.forEach(function (value, key) {
+        try {
+          if (!same(globalThis[key], value) && setProperty(globalThis, key, value)) {
+            restored++;
+          }
+        } catch (e) {
+          // 只读属性和抛出异常的 setter 保持原样
+        }
+      });
+      contents.forEach(function (saved, object) {
+        restored += restoreContents(object, saved);
+      });
+      return restored;
+    }
+  });
+})();
+`;
+
+/**
+ * 取出上下文中记录的调用结果和日志，日志复制后追加到本线程的存储中
+ * @param {Object} context - VM 上下文
+ * @param {Object} shared - 本线程的日志存储（跨上下文累积）
+ * @param {string} id - 调用点键
+ * @param {number} timeout - 超时时间（毫秒）
+ * @returns {Object} - { hasResult, result, awaited }（result 仍是上下文中的值，awaited 表示结果是 Promise 完成后的值）
+ */
+function takeRecords(context, shared, id, timeout) {
+  const outcome = runStep(context, `__dejsTakeRecords(${JSON.stringify(id)})`, 'dejs-records.js', timeout);
+  if (!outcome.ok) {
+    return { hasResult: false };
+  }
+  try {
+    const record = outcome.value;
+    for (const entry of Array.from(record.callLog)) {
+      const cloned = toCloneable({
+        ...entry,
+        args: toCloneable(entry.args).value,
+        result: toCloneable(entry.result).value,
+        // recordError 在上下文中已经把异常转换为字符串，其他值（被测代码写入的记录）不读取
+        error: typeof entry.error === 'string' ? entry.error : undefined
+      });
+      if (cloned.ok) {
+        shared.globalCallLog.push(cloned.value);
+      }
+    }
+    shared.globalTraceLog.push(...(toCloneable(record.traceLog).value || []));
+    return { hasResult: record.hasResult === true, result: record.result, awaited: record.awaited === true };
+  } catch (e) {
+    return { hasResult: false };
+  }
+}
+
+/**
+ * 获取没有结果的调用的错误信息
+ * @param {Object} shared - 本线程的日志存储
+ * @param {string} id - 调用点键
+ * @param {*} started - 调用步骤的返回值（safeCall 调用了函数时为 true）
+ * @returns {string} - 错误信息
+ */
+function describeCallFailure(shared, id, started) {
+  const entry = shared.globalCallLog.filter(item => item.id === id).pop();
+  if (entry && entry.error) {
+    return entry.error;
+  }
+  // 函数返回了 Promise，但调用步骤结束时仍未完成
+  return started === true ? 'Promise 在调用结束时仍未完成' : '函数不存在';
+}
+
+/**
+ * 创建沙箱上下文并执行初始化步骤（运行环境、测试环境、函数定义、立即执行函数、接收者）
+ * @param {Object} testCode - 测试代码结构
+ * @param {Object} options - { callTimeout: 单步超时时间（毫秒）, codeGeneration: 是否允许 eval 和 new Function }
+ * @param {string} labelPrefix - 进度标签前缀（重建上下文时使用）
+ * @returns {Object} - { context } 或 { failedStep }
+ */
+function buildSandbox(testCode, options, labelPrefix = '') {
+  const { callTimeout, codeGeneration } = options;
+
+  // 全局对象的原型为 null，上下文中只有上下文自己的内置对象
+  const context = vm.createContext(Object.create(null), {
+    codeGeneration: { strings: codeGeneration, wasm: codeGeneration },
+    // 微任务在每次执行结束前清空，使 VM 超时同样覆盖 Promise 回调
+    microtaskMode: 'afterEvaluate'
+  });
+
+  // 初始化阶段：任一步骤失败都会导致后续结果不可信，直接中止
+  const setupSteps = [
+    { stage: 'harness', label: '结果存储', code: HARNESS_BOOTSTRAP },
+    { stage: 'environment', label: '运行环境', code: testCode.environment },
+    { stage: 'prelude', label: '测试环境', code: testCode.prelude },
+    { stage: 'definitions', label: '函数定义', code: testCode.definitions },
+    ...testCode.immediateFunctions.map(step => ({ stage: 'immediate', label: step.label, code: step.code })),
+    { stage: 'receivers', label: '成员调用接收者', code: testCode.receivers }
+  ];
+
+  for (const step of setupSteps) {
+    const label = labelPrefix + step.label;
+    reportProgress(step.stage, label);
+    const outcome = runStep(context, step.code, `dejs-${step.stage}.js`, callTimeout);
+    if (step.stage === 'harness' && outcome.ok) {
+      errorHolders.set(context, vm.runInContext('__dejsHoldError', context));
+    }
+    if (!outcome.ok) {
+      return {
+        failedStep: {
+          stage: step.stage,
+          label: label,
+          timedOut: outcome.timedOut,
+          error: outcome.error
+        }
+      };
+    }
+  }
+
+  return { context };
+}
+
+/**
+ * 在上下文中记录全局对象上的所有属性（函数声明、var 变量、隐式全局变量），快照保存在上下文中
+ * @param {Object} context - VM 上下文
+ * @param {number} timeout - 超时时间（毫秒）
+ */
+function snapshotGlobals(context, timeout) {
+  runStep(context, '__dejsSnapshotGlobals()', 'dejs-snapshot.js', timeout);
+}
+
+/**
+ * 将上下文全局对象恢复到最近一次快照的状态：删除新增的属性，重新赋值被修改的属性
+ * 自我重定义的解密函数（f = function () {...}）在每次调用后都会被恢复为初始定义
+ * @param {Object} context - VM 上下文
+ * @param {number} timeout - 超时时间（毫秒）
+ * @returns {number} - 恢复的属性数量
+ */
+function restoreGlobals(context, timeout) {
+  const outcome = runStep(context, '__dejsRestoreGlobals()', 'dejs-restore.js', timeout);
+  return outcome.ok && typeof outcome.value === 'number' ? outcome.value : 0;
+}
+
+/**
+ * 验证时扰动时间和随机数：当前时间向后偏移 400 天，Math.random 改为固定种子的伪随机序列
+ * 只替换沙箱上下文中的 Date 和 Math.random，不影响本线程
+ */
+const PERTURB_ENVIRONMENT = `
+(function () {
+  const RealDate = Date;
+  const offset = 400 * 24 * 60 * 60 * 1000;
+  function PerturbedDate(...args) {
+    if (!new.target) {
+      return new RealDate(RealDate.now() + offset).toString();
+    }
+    return args.length === 0 ? new RealDate(RealDate.now() + offset) : new RealDate(...args);
+  }
+  PerturbedDate.prototype = RealDate.prototype;
+  PerturbedDate.now = () => RealDate.now() + offset;
+  PerturbedDate.parse = RealDate.parse;
+  PerturbedDate.UTC = RealDate.UTC;
+  Date = PerturbedDate;
+
+  let seed = 0x2545f491;
+  Math.random = function () {
+    seed ^= seed << 13;
+    seed ^= seed >>> 17;
+    seed ^= seed << 5;
+    return (seed >>> 0) / 4294967296;
+  };
+})();
+`;
+
+/**
+ * 重复执行成功的调用，结果交给主线程与第一次执行的结果比较
+ * repeat 模式在当前上下文中按相反的顺序执行（结果依赖调用顺序时会不同），
+ * fresh 模式每个调用在重新初始化的上下文中执行（结果依赖之前的调用时会不同）
+ * @param {Object} testCode - 测试代码结构
+ * @param {Object} shared - 本线程的日志存储
+ * @param {Object} sandbox - 第一次执行结束时的沙箱（{ context }）
+ * @param {Array} calls - 第一次执行成功的调用
+ * @param {Object} options - { callTimeout, codeGeneration, isolation, verify: repeat 或 fresh, perturb: 是否扰动时间和随机数 }
+ */
+function verifyCalls(testCode, shared, sandbox, calls, options) {
+  const { callTimeout, isolation, verify, perturb } = options;
+
+  const prepare = () => {
+    if (perturb) {
+      runStep(sandbox.context, PERTURB_ENVIRONMENT, 'dejs-perturb.js', callTimeout);
+    }
+    snapshotGlobals(sandbox.context, callTimeout);
+  };
+
+  let needsRebuild = false;
+  if (verify === 'repeat') {
+    prepare();
+  }
+
+  for (const call of [...calls].reverse()) {
+    if (verify === 'fresh' || needsRebuild) {
+      sandbox = buildSandbox(testCode, options, '[验证] ');
+      if (sandbox.failedStep) {
+        // 无法重建上下文时停止验证，未验证的调用由主线程按未完成处理
+        return;
+      }
+      prepare();
+      needsRebuild = false;
+    }
+
+    reportProgress('verify', `[验证] ${call.label}`, call.id);
+    const outcome = runStep(sandbox.context, call.code, 'dejs-verify.js', callTimeout);
+    const record = takeRecords(sandbox.context, shared, call.id, callTimeout);
+
+    if (outcome.ok && outcome.value === true && record.hasResult) {
+      const cloneable = toCloneable(record.result);
+      parentPort.postMessage({
+        type: 'verification',
+        id: call.id,
+        status: 'ok',
+        cloneable: cloneable.ok,
+        value: cloneable.value,
+        valueType: cloneable.ok ? undefined : cloneable.valueType
+      });
+    } else {
+      const status = outcome.timedOut ? 'timeout' : 'threw';
+      const error = outcome.ok ? describeCallFailure(shared, call.id, outcome.value) : outcome.error;
+      parentPort.postMessage({ type: 'verification', id: call.id, status, error });
+      needsRebuild = isolation !== 'none';
+    }
+
+    if (isolation !== 'none' && !needsRebuild) {
+      restoreGlobals(sandbox.context, callTimeout);
+    }
+  }
+}
+
+function main() {
+  const { testCode, callTimeout, codeGeneration, isolation, verify, perturb } = workerData;
+  const sandboxOptions = { callTimeout, codeGeneration };
+
+  // 本线程的跟踪和调用日志（从每个上下文中取出后累积，重建上下文时继续使用同一份存储）
+  const shared = {
+    globalTraceLog: [],
+    globalCallLog: []
+  };
+
+  let sandbox = buildSandbox(testCode, sandboxOptions);
+  if (sandbox.failedStep) {
+    parentPort.postMessage({ type: 'setup-failed', ...sandbox.failedStep });
+    return;
+  }
+
+  // 所有立即执行函数执行之后读取旋转后的字符串数组（只在第一次初始化后读取）
+  for (const step of testCode.rotations) {
+    reportProgress('rotation', step.label);
+    const outcome = runStep(sandbox.context, step.code, 'dejs-rotation.js', callTimeout);
+    const cloneable = outcome.ok ? toCloneable(outcome.value) : { ok: false };
+    parentPort.postMessage({
+      type: 'rotation',
+      id: step.id,
+      ok: outcome.ok && cloneable.ok,
+      value: cloneable.value,
+      error: outcome.ok ? (cloneable.ok ? undefined : '结果无法传递') : outcome.error
+    });
+  }
+
+  snapshotGlobals(sandbox.context, callTimeout);
+
+  const succeededCalls = [];
+  let successCount = 0;
+  let failCount = 0;
+  let timeoutCount = 0;
+  let rebuildCount = 0;
+  let needsRebuild = false;
+
+  for (const call of testCode.calls) {
+    // fresh 模式每个调用使用全新的上下文，其他模式只在上一个调用出错后重建
+    if (needsRebuild || (isolation === 'fresh' && successCount + failCount > 0)) {
+      sandbox = buildSandbox(testCode, sandboxOptions, '[重建上下文] ');
+      if (sandbox.failedStep) {
+        parentPort.postMessage({ type: 'setup-failed', ...sandbox.failedStep });
+        return;
+      }
+      snapshotGlobals(sandbox.context, callTimeout);
+      rebuildCount++;
+      needsRebuild = false;
+    }
+
+    reportProgress('call', call.label, call.id);
+    const startTime = Date.now();
+    const outcome = runStep(sandbox.context, call.code, 'dejs-call.js', callTimeout);
+    const elapsedTime = Date.now() - startTime;
+    const record = takeRecords(sandbox.context, shared, call.id, callTimeout);
+
+    if (outcome.ok && outcome.value === true && record.hasResult) {
+      successCount++;
+      succeededCalls.push(call);
+      const result = record.result;
+      const cloneable = toCloneable(result);
+      parentPort.postMessage({
+        type: 'result',
+        id: call.id,
+        status: 'ok',
+        cloneable: cloneable.ok,
+        literal: cloneable.ok && isSafeLiteralValue(result),
+        awaited: record.awaited,
+        value: cloneable.value,
+        valueType: cloneable.valueType,
+        elapsedTime
+      });
+    } else {
+      failCount++;
+      let status = 'threw';
+      let error;
+      if (outcome.ok) {
+        // safeCall 捕获了异常（或函数不存在、Promise 未完成），错误信息记录在调用日志中
+        error = describeCallFailure(shared, call.id, outcome.value);
+      } else {
+        if (outcome.timedOut) {
+          timeoutCount++;
+          status = 'timeout';
+        }
+        error = outcome.timedOut ? `执行超时 (${callTimeout}ms)` : outcome.error;
+        shared.globalCallLog.push({
+          id: call.id,
+          call: call.label,
+          error: error,
+          timedOut: outcome.timedOut,
+          timestamp: Date.now()
+        });
+      }
+      parentPort.postMessage({ type: 'result', id: call.id, status, error, elapsedTime });
+
+      // 出错的调用可能已经破坏了解密函数的状态，后续调用在重建的上下文中执行
+      needsRebuild = isolation !== 'none';
+    }
+
+    if (isolation !== 'none' && !needsRebuild) {
+      restoreGlobals(sandbox.context, callTimeout);
+    }
+  }
+
+  if (verify) {
+    // 最后一个调用出错时上下文可能已被破坏，repeat 模式的验证在重建的上下文中执行
+    if (needsRebuild && verify === 'repeat') {
+      sandbox = buildSandbox(testCode, sandboxOptions, '[验证] ');
+    }
+    if (!sandbox.failedStep) {
+      verifyCalls(testCode, shared, sandbox, succeededCalls, { ...sandboxOptions, isolation, verify, perturb });
+    }
+  }
+
+  parentPort.postMessage({
+    type: 'done',
+    successCount,
+    failCount,
+    timeoutCount,
+    rebuildCount,
+    callLog: shared.globalCallLog,
+    traceLog: shared.globalTraceLog
+  });
+}
+
+// 被测的异步函数（例如 async 方法）返回的 Promise 被拒绝时没有人处理，
+// 默认会在同步执行结束后终止本线程，导致最后一个调用的结果和 done 消息丢失
+process.on('unhandledRejection', () => {});
+
+main();
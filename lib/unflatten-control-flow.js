@@ -0,0 +1,233 @@
+/**
+ * 控制流平坦化还原：按分发顺序把 switch 分支排列成顺序执行的语句
+ *
+ *   const order = "3|1|0|2".split("|");
+ *   let i = 0;
+ *   while (true) {
+ *     switch (order[i++]) {
+ *       case "0": a(); continue;
+ *       case "1": b(); continue;
+ *       ...
+ *     }
+ *     break;
+ *   }
+ *
+ * 还原为 d(); b(); a(); c();，同时删除 order 和 i 的声明
+ */
+
+const t = require('@babel/types');
+const { getMemberPropertyName, isRemovedPath, refreshMovedPaths } = require('./ast-utils');
+
+/**
+ * 检查循环是否是分发循环的外形：while (true) / for (;;)，循环体为 switch 加 break
+ * @param {Object} loopPath - WhileStatement 或 ForStatement 路径
+ * @returns {boolean} - 是否是分发循环
+ */
+function isDispatchLoop(loopPath) {
+  if (loopPath.parentPath.isLabeledStatement()) {
+    return false;
+  }
+  if (loopPath.isForStatement()) {
+    if (loopPath.node.init || loopPath.node.test || loopPath.node.update) {
+      return false;
+    }
+  } else if (loopPath.get('test').evaluateTruthy() !== true) {
+    return false;
+  }
+  const body = loopPath.node.body;
+  return body.type === 'BlockStatement' &&
+    body.body.length === 2 &&
+    body.body[0].type === 'SwitchStatement' &&
+    body.body[1].type === 'BreakStatement' &&
+    !body.body[1].label;
+}
+
+/**
+ * 查找分发变量的声明：与循环位于同一语句列表中，并且只在分发表达式中被使用
+ * @param {Object} loopPath - 循环路径
+ * @param {string} name - 变量名
+ * @param {Object} discriminant - 分发表达式节点（order[i++]）
+ * @returns {Object|null} - VariableDeclarator 路径
+ */
+function findDispatchDeclarator(loopPath, name, discriminant) {
+  const binding = loopPath.scope.getBinding(name);
+  if (!binding || !binding.path.isVariableDeclarator()) {
+    return null;
+  }
+  const declaration = binding.path.parentPath;
+  if (declaration.parentPath !== loopPath.parentPath || declaration.listKey !== loopPath.listKey) {
+    return null;
+  }
+  const uses = [...binding.referencePaths, ...binding.constantViolations].filter(path => path !== binding.path);
+  if (uses.length === 0 || !uses.every(path => path.findParent(p => p.node === discriminant))) {
+    return null;
+  }
+  return binding.path;
+}
+
+/**
+ * 解析分发顺序：order = "3|1|0|2".split("|")
+ * @param {Object} init - 声明的初始值节点
+ * @returns {Array|null} - 分发顺序
+ */
+function parseDispatchOrder(init) {
+  if (!init || init.type !== 'CallExpression' || init.arguments.length !== 1 ||
+      init.callee.type !== 'MemberExpression' || init.callee.object.type !== 'StringLiteral' ||
+      getMemberPropertyName(init.callee) !== 'split' || init.arguments[0].type !== 'StringLiteral') {
+    return null;
+  }
+  return init.callee.object.value.split(init.arguments[0].value);
+}
+
+/**
+ * 检查分支语句中是否有跳出或继续分发循环的 break/continue（不带标签、不在内层循环或 switch 中）
+ * @param {Object} casePath - SwitchCase 路径
+ * @param {number} count - 要检查的语句数量（不包括结尾的 continue）
+ * @returns {boolean} - 是否有这样的语句
+ */
+function hasDispatchJump(casePath, count) {
+  let found = false;
+  casePath.get('consequent').slice(0, count).forEach(statementPath => {
+    const check = jumpPath => {
+      if (jumpPath.node.label) {
+        return;
+      }
+      const target = jumpPath.findParent(p =>
+        p === casePath || p.isLoop() || (jumpPath.isBreakStatement() && p.isSwitchStatement())
+      );
+      if (target === casePath) {
+        found = true;
+      }
+    };
+    if (statementPath.isBreakStatement() || statementPath.isContinueStatement()) {
+      check(statementPath);
+    }
+    statementPath.traverse({
+      'BreakStatement|ContinueStatement': check,
+      Function(path) {
+        path.skip();
+      }
+    });
+  });
+  return found;
+}
+
+/**
+ * 分析分发循环，得到按顺序排列的语句
+ * @param {Object} loopPath - 循环路径
+ * @returns {Object|null} - { order, statements, declarators, lexical }，不能还原时返回 null
+ */
+function analyzeDispatchLoop(loopPath) {
+  // 嵌套的平坦化循环直接位于外层循环的分支中
+  const container = loopPath.parentPath;
+  if (!isDispatchLoop(loopPath) || !(container.isBlockStatement() || container.isProgram() || container.isSwitchCase())) {
+    return null;
+  }
+
+  const switchPath = loopPath.get('body.body.0');
+  const discriminant = switchPath.node.discriminant;
+  if (discriminant.type !== 'MemberExpression' || !discriminant.computed ||
+      discriminant.object.type !== 'Identifier' ||
+      discriminant.property.type !== 'UpdateExpression' || discriminant.property.operator !== '++' ||
+      discriminant.property.prefix || discriminant.property.argument.type !== 'Identifier') {
+    return null;
+  }
+
+  const orderDeclarator = findDispatchDeclarator(loopPath, discriminant.object.name, discriminant);
+  const counterDeclarator = findDispatchDeclarator(loopPath, discriminant.property.argument.name, discriminant);
+  if (!orderDeclarator || !counterDeclarator || orderDeclarator === counterDeclarator) {
+    return null;
+  }
+  const counterInit = counterDeclarator.node.init;
+  if (!counterInit || counterInit.type !== 'NumericLiteral' || counterInit.value !== 0) {
+    return null;
+  }
+  const order = parseDispatchOrder(orderDeclarator.node.init);
+  if (!order) {
+    return null;
+  }
+
+  // 每个分支以 continue 结尾（回到分发），或者以 return/throw 结束执行
+  const cases = new Map();
+  for (const casePath of switchPath.get('cases')) {
+    const { test, consequent } = casePath.node;
+    if (!test || test.type !== 'StringLiteral' || cases.has(test.value) || consequent.length === 0) {
+      return null;
+    }
+    const last = consequent[consequent.length - 1];
+    let count = consequent.length;
+    if (last.type === 'ContinueStatement' && !last.label) {
+      count--;
+    } else if (last.type !== 'ReturnStatement' && last.type !== 'ThrowStatement') {
+      return null;
+    }
+    if (hasDispatchJump(casePath, count)) {
+      return null;
+    }
+    cases.set(test.value, consequent.slice(0, count));
+  }
+
+  // 每个分支最多执行一次，重复执行会重复声明变量
+  if (new Set(order).size !== order.length || !order.every(key => cases.has(key))) {
+    return null;
+  }
+
+  const statements = [];
+  for (const key of order) {
+    statements.push(...cases.get(key));
+    const last = statements[statements.length - 1];
+    if (last && (last.type === 'ReturnStatement' || last.type === 'ThrowStatement')) {
+      break;
+    }
+  }
+
+  return {
+    order,
+    statements,
+    declarators: [orderDeclarator, counterDeclarator],
+    // 分支中的 let/const/class/function 声明只在 switch 内可见，还原后放在独立的块中
+    lexical: Object.keys(switchPath.scope.bindings).length > 0
+  };
+}
+
+/**
+ * 还原控制流平坦化
+ * @param {Object} index - 程序索引（dispatchLoops 为循环体以 switch 开始的循环）
+ * @param {Object} config - 配置对象
+ * @returns {number} - 还原的循环数量
+ */
+function unflattenControlFlow(index, config) {
+  const sitesByNode = new Map(index.calls.map(site => [site.path.node, site]));
+  let unflattenedCount = 0;
+
+  // 由内到外处理：内层循环位于外层循环的分支中，先还原内层，外层移动的语句中已经是还原后的结果
+  [...index.dispatchLoops].reverse().forEach(loopPath => {
+    if (isRemovedPath(loopPath)) {
+      return;
+    }
+    const result = analyzeDispatchLoop(loopPath);
+    if (!result) {
+      return;
+    }
+
+    const line = loopPath.node.loc ? loopPath.node.loc.start.line : '?';
+    const replacement = result.lexical ? [t.blockStatement(result.statements)] : result.statements;
+    if (replacement.length > 0) {
+      loopPath.replaceWithMultiple(replacement).forEach(path => refreshMovedPaths(path, sitesByNode));
+    } else {
+      loopPath.remove();
+    }
+    result.declarators.forEach(declarator => declarator.remove());
+    unflattenedCount++;
+
+    if (config.verbose) {
+      config.logger.log(`  [控制流] 第 ${line} 行: 按 "${result.order.join('|')}" 还原 ${result.order.length} 个分支, ${result.statements.length} 条语句`);
+    }
+  });
+
+  return unflattenedCount;
+}
+
+module.exports = {
+  unflattenControlFlow
+};
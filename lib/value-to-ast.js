@@ -0,0 +1,51 @@
+/**
+ * 调用结果转换为AST：把沙箱中得到的值写回源码中的字面量
+ *
+ *   -5        ->  -5（一元负号表达式）
+ *   NaN       ->  0 / 0
+ *   Infinity  ->  1 / 0
+ *   10n       ->  10n
+ *   /a+/g     ->  /a+/g
+ *   [1, "x"]  ->  [1, "x"]
+ *   { a: 1 }  ->  { a: 1 }
+ *
+ * 结果能否写成字面量（普通对象、没有空位的数组、没有循环引用等）由沙箱线程在传出结果之前判断
+ */
+
+const t = require('@babel/types');
+
+/**
+ * 计算结果包含的值的数量（数组元素和对象属性递归计数，原始值和正则表达式计为 1）
+ * @param {*} value - 调用结果
+ * @returns {number} - 值的数量
+ */
+function countValues(value) {
+  if (Array.isArray(value)) {
+    return value.reduce((sum, item) => sum + countValues(item), 1);
+  }
+  if (value !== null && typeof value === 'object' && !(value instanceof RegExp)) {
+    return Object.values(value).reduce((sum, item) => sum + countValues(item), 1);
+  }
+  return 1;
+}
+
+/**
+ * 把调用结果转换为AST节点
+ * @param {*} value - 调用结果（已经确认可以写成字面量）
+ * @param {Object} config - 配置对象（maxResultSize 为数组和对象最多包含的值的数量）
+ * @returns {Object} - { node } 或 { skipped: 'oversized', size }
+ */
+function valueToNode(value, config) {
+  if (value !== null && typeof value === 'object' && !(value instanceof RegExp)) {
+    const size = countValues(value);
+    if (size > config.maxResultSize) {
+      return { skipped: 'oversized', size };
+    }
+  }
+  // Babel 的 valueToNode 已经处理负数、-0、NaN、Infinity、BigInt 和正则表达式
+  return { node: t.valueToNode(value) };
+}
+
+module.exports = {
+  valueToNode
+};
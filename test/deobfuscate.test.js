@@ -0,0 +1,877 @@
+/**
+ * 处理流程测试：对给定输入检查还原后的输出代码
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { deobfuscate } = require('..');
+const { buildCallReport } = require('../lib/call-report');
+
+const CLI_PATH = path.join(__dirname, '..', 'de.js');
+
+/**
+ * 通过命令行处理一段源码，返回输出文件内容
+ * @param {string} source - 待处理的源码
+ * @param {string[]} args - 额外的命令行参数
+ * @returns {string} 输出文件内容
+ */
+function runCli(source, args = []) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dejs-test-'));
+  try {
+    const inputFile = path.join(dir, 'input.js');
+    const outputFile = path.join(dir, 'output.js');
+    fs.writeFileSync(inputFile, source);
+    execFileSync(process.execPath, [CLI_PATH, '-f', inputFile, '-o', outputFile, ...args], {
+      stdio: 'pipe',
+      timeout: 60000
+    });
+    return fs.existsSync(outputFile) ? fs.readFileSync(outputFile, 'utf-8') : source;
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('调用文本相同但绑定不同的解密函数分别替换', () => {
+  const output = runCli(`
+function f1(a, b, c, d) {
+  return "outer" + a;
+}
+function run() {
+  function f1(a, b, c, d) {
+    return "inner" + a;
+  }
+  return f1(1, 0, 0, 0);
+}
+console.log(f1(1, 0, 0, 0), run());
+`);
+  assert.match(output, /return "inner1";/);
+  assert.match(output, /console\.log\("outer1", run\(\)\);/);
+});
+
+test('对象和类方法形式的解密函数按接收者执行并替换调用', () => {
+  const output = runCli(`
+const obj = {
+  f12(a, b, c, d) {
+    return ["alpha", "beta"][a - 100];
+  }
+};
+class C {
+  static f14(a, b, c, d) {
+    return "c" + a;
+  }
+  f13(a, b, c, d) {
+    return "m" + b;
+  }
+  run() {
+    return this.f13(1, 2, 3, 4);
+  }
+}
+console.log(obj.f12(101, 0, 0, 0), C.f14(7, 0, 0, 0), new C().run());
+`);
+  assert.match(output, /return "m2";/);
+  assert.match(output, /console\.log\("beta", "c7", new C\(\)\.run\(\)\);/);
+});
+
+test('死循环的调用超时后保留原调用，其他调用照常替换', () => {
+  const output = runCli(`
+function f1(a, b, c, d) {
+  while (true) {}
+}
+function f2(a, b, c, d) {
+  return "ok" + a;
+}
+console.log(f2(1, 0, 0, 0), f1(1, 2, 3, 4));
+`, ['--call-timeout', '100']);
+  assert.match(output, /console\.log\("ok1", f1\(1, 2, 3, 4\)\);/);
+});
+
+test('库入口按每次传入的配置处理并返回调用结果', async () => {
+  const source = `
+function f1(a, b, c, d) {
+  return "x" + a;
+}
+function g1(a, b, c, d) {
+  return "y" + a;
+}
+console.log(f1(1, 0, 0, 0), g1(2, 0, 0, 0));
+`;
+  const first = await deobfuscate(source);
+  assert.match(first.code, /console\.log\("x1", g1\(2, 0, 0, 0\)\);/);
+  assert.strictEqual(first.report.changed, true);
+  assert.deepStrictEqual(
+    first.callResults.map(item => [item.callExpression, item.status, item.value]),
+    [['f1(1, 0, 0, 0)', 'ok', 'x1']]
+  );
+
+  const second = await deobfuscate(source, { interceptPattern: '^g\\d+$' });
+  assert.match(second.code, /console\.log\(f1\(1, 0, 0, 0\), "y2"\);/);
+  assert.deepStrictEqual(
+    second.callResults.map(item => [item.callExpression, item.status, item.value]),
+    [['g1(2, 0, 0, 0)', 'ok', 'y2']]
+  );
+});
+
+test('字符串反序、依赖函数、调用替换和函数清理在同一语法树上完成', async () => {
+  const source = `
+function f2(a, b, c, d) {
+  return "ateb,ahpla".split("").reverse().join("").split(",")[a];
+}
+function f1(a, b, c, d) {
+  return f2(a - 10, 0, 0, 0).toUpperCase();
+}
+function run() {
+  return f1(11, 0, 0, 0);
+}
+console.log(f1(10, 0, 0, 0), run());
+`;
+  const { code } = await deobfuscate(source, { cleanupFunctions: 'remove' });
+  assert.match(code, /return "alpha,beta"\.split\(","\)\[a\];/);
+  assert.match(code, /return "BETA";/);
+  assert.match(code, /console\.log\("ALPHA", run\(\)\);/);
+  assert.doesNotMatch(code, /function f1/);
+});
+
+test('按结构识别 _0x 命名的字符串数组、解密函数、包装函数和旋转', async () => {
+  const source = `
+function _0x1f() {
+  var _0xa = ["hello", "world", "7"];
+  _0x1f = function () {
+    return _0xa;
+  };
+  return _0x1f();
+}
+function _0xd(_0xi, _0xk) {
+  var _0xarr = _0x1f();
+  _0xd = function (_0xi2, _0xk2) {
+    _0xi2 = _0xi2 - 0x1a;
+    return _0xarr[_0xi2];
+  };
+  return _0xd(_0xi, _0xk);
+}
+(function (_0xg, _0xt) {
+  var _0xdd = _0xd,
+    _0xr = _0xg();
+  while (true) {
+    try {
+      var _0xs = parseInt(_0xdd(0x1a)) / 1;
+      if (_0xs === _0xt) break;else _0xr.push(_0xr.shift());
+    } catch (_0xe) {
+      _0xr.push(_0xr.shift());
+    }
+  }
+})(_0x1f, 7);
+function _0xw(_0xa1, _0xb1) {
+  return _0xd(_0xa1 - 0x10, _0xb1);
+}
+console.log(_0xd(0x1b), _0xw(0x2c, 0));
+`;
+  const { code, report } = await deobfuscate(source);
+  assert.deepStrictEqual(report.detectedDecoders, {
+    providers: ['_0x1f'],
+    decoders: ['_0xd'],
+    wrappers: ['_0xw'],
+    rotations: 1
+  });
+  assert.match(code, /console\.log\("hello", "world"\);/);
+});
+
+test('没有 parseInt 校验值与数字参数比较的 push/shift 立即执行函数不识别为旋转', async () => {
+  const source = `
+function _0x1f() {
+  var _0xa = ["hello", "world", "7"];
+  _0x1f = function () {
+    return _0xa;
+  };
+  return _0x1f();
+}
+function _0xd(_0xi, _0xk) {
+  var _0xarr = _0x1f();
+  _0xd = function (_0xi2, _0xk2) {
+    _0xi2 = _0xi2 - 0x1a;
+    return _0xarr[_0xi2];
+  };
+  return _0xd(_0xi, _0xk);
+}
+(function (_0xg, _0xn) {
+  var _0xr = _0xg(),
+    _0xq = [];
+  while (_0xr.length > _0xn) {
+    _0xq.push(_0xr.shift());
+  }
+})(_0x1f, 2);
+console.log(_0xd(0x1a));
+`;
+  const { code, report } = await deobfuscate(source);
+  assert.strictEqual(report.detectedDecoders.rotations, 0);
+  assert.match(code, /_0xq\.push\(_0xr\.shift\(\)\);/);
+  assert.match(code, /console\.log\("world"\);/);
+});
+
+test('包装函数的调用改写为折叠偏移后的解密函数调用并删除包装函数', async () => {
+  const source = `
+function f29() {
+  var vA = ["zero", "one", "two"];
+  f29 = function () {
+    return vA;
+  };
+  return f29();
+}
+function f30(p, p2) {
+  var vF29 = f29();
+  f30 = function (p3, p4) {
+    p3 = p3 - 20;
+    return vF29[p3];
+  };
+  return f30(p, p2);
+}
+function f4(a, b, c, d, e) {
+  return f30(e - 928, c);
+}
+function run(y) {
+  return f4(0, 0, y, 0, 950) + f4(1, 0, 0, 0, 949);
+}
+console.log(run(3));
+`;
+  const { code } = await deobfuscate(source);
+  assert.match(code, /return f30\(22, y\) \+ "one";/);
+  assert.doesNotMatch(code, /function f4/);
+});
+
+test('读取变量的实参不会和有副作用的实参交换求值顺序，字面量实参可以', async () => {
+  const source = `
+function f29() {
+  var vA = ["zero", "one", "two"];
+  f29 = function () {
+    return vA;
+  };
+  return f29();
+}
+function f30(p, p2) {
+  var vF29 = f29();
+  f30 = function (p3, p4) {
+    p3 = p3 - 20;
+    return vF29[p3];
+  };
+  return f30(p, p2);
+}
+function f4(a, b, c, d, e) {
+  return f30(e - 928, c);
+}
+function f5(a, b) {
+  return f30(a, b - 1);
+}
+function run(y) {
+  return f4(0, 0, y, 0, y = 950) + f4(0, 0, "k", 0, y = 949) + f5(y, y = 22);
+}
+console.log(run(3));
+`;
+  const { code } = await deobfuscate(source);
+  assert.match(code, /return f4\(0, 0, y, 0, y = 950\) \+ f30\(\(y = 949\) - 928, "k"\) \+ f30\(y, \(y = 22\) - 1\);/);
+});
+
+test('代理对象的字符串属性和运算符包装在使用处内联后删除对象', async () => {
+  const source = `
+function f13(a, b, c, d) {
+  return ["length", "charAt"][a];
+}
+function run(x) {
+  const vO162 = {
+    zcNMR: function (a, b) {
+      return a ^ b;
+    },
+    CBflp: "ab",
+    XAAUK: f13(0, 0, 0, 0)
+  };
+  return vO162.zcNMR(598068, 598060) + x[vO162.XAAUK] + vO162.CBflp;
+}
+console.log(run("xyz"));
+`;
+  const { code } = await deobfuscate(source);
+  assert.match(code, /return \(598068 \^ 598060\) \+ x\["length"\] \+ "ab";/);
+  assert.doesNotMatch(code, /vO162/);
+});
+
+test('代理对象的引用逐个内联，还有无法内联的引用时保留对象，属性被赋值时不内联', async () => {
+  const source = `
+function f13(a, b, c, d) {
+  return ["length", "charAt"][a];
+}
+function run(x, y) {
+  const vO = {
+    zcNMR: function (a, b) {
+      return b - a;
+    },
+    CBflp: "ab",
+    XAAUK: f13(0, 0, 0, 0)
+  };
+  return vO.zcNMR(y(), y()) + x[vO.XAAUK] + vO.CBflp + vO.zcNMR(1, 2);
+}
+function patched(x) {
+  const vP = { a: "q" };
+  vP.a = x;
+  return vP.a;
+}
+console.log(run("xyz", Math.random), patched(1));
+`;
+  const { code, report } = await deobfuscate(source);
+  assert.match(code, /return vO\.zcNMR\(y\(\), y\(\)\) \+ x\["length"\] \+ "ab" \+ \(2 - 1\);/);
+  assert.match(code, /const vO = \{/);
+  assert.match(code, /vP\.a = x;\n  return vP\.a;/);
+  assert.deepStrictEqual(report.inlinedProxies, { uses: 3, removed: [] });
+});
+
+test('按拆分字符串的顺序把 switch 分发还原为顺序执行的语句', async () => {
+  const source = `
+function f1(a, b, c, d) {
+  return ["2|0|1"][a];
+}
+function run() {
+  const order = f1(0, 0, 0, 0).split("|");
+  let i = 0;
+  while (true) {
+    switch (order[i++]) {
+      case "0":
+        console.log("b");
+        continue;
+      case "1":
+        console.log("c");
+        continue;
+      case "2":
+        console.log("a");
+        continue;
+    }
+    break;
+  }
+}
+run();
+`;
+  const { code, report } = await deobfuscate(source);
+  assert.strictEqual(report.unflattenedBlocks, 1);
+  assert.match(code, /function run\(\) \{\n  console\.log\("a"\);\n  console\.log\("b"\);\n  console\.log\("c"\);\n\}/);
+});
+
+test('没有常量调用时同样还原字符串数组旋转', async () => {
+  const source = `
+function f27() {
+  const vA = ["foo", "bar", "2", "3", "1"];
+  f27 = function () {
+    return vA;
+  };
+  return f27();
+}
+function f(p, p2) {
+  const vF27 = f27();
+  f = function (p3, p4) {
+    p3 = p3 - 0;
+    return vF27[p3];
+  };
+  return f(p, p2);
+}
+(function (p10, p11) {
+  const vP10 = p10();
+  do {
+    try {
+      const v9 = parseInt(f(0)) + parseInt(f(1));
+      if (v9 === p11) {
+        break;
+      } else {
+        vP10.push(vP10.shift());
+      }
+    } catch (e) {
+      vP10.push(vP10.shift());
+    }
+  } while (true);
+})(f27, 5);
+module.exports = function (index) {
+  return f(index);
+};
+`;
+  const { code, report, callResults } = await deobfuscate(source);
+  assert.strictEqual(report.skippedReason, '未找到实际的常量函数调用');
+  assert.strictEqual(callResults.length, 0);
+  assert.deepStrictEqual(report.rotations, { rewritten: ['f27'], removed: 1 });
+  assert.match(code, /const vA = \["2", "3", "1", "foo", "bar"\];/);
+  assert.doesNotMatch(code, /\(f27, 5\)/);
+});
+
+test('常量表达式和字面量初始化的 const 绑定作为参数时同样执行调用', async () => {
+  const source = `
+function f1(a, b, c, d) {
+  return [a, b, c, d].join("|");
+}
+const K = 7;
+let L = 1;
+L++;
+console.log(f1(0x3ff, 1e3, \`t\`, !0), f1(1 + 2, 'a' + 'b', void 0, ~5), f1(K, -K, 0, 0), f1(L, 0, 0, 0));
+`;
+  const { code } = await deobfuscate(source);
+  assert.match(code, /console\.log\("1023\|1000\|t\|true", "3\|ab\|\|-6", "7\|-7\|0\|0", f1\(L, 0, 0, 0\)\);/);
+});
+
+test('--until-stable 重复处理到代码不再变化，嵌套调用逐轮替换', async () => {
+  const source = `
+function f1(a, b, c, d) {
+  return ["alpha", "beta"][a] + b;
+}
+function f2(a, b, c, d) {
+  return a.toUpperCase() + b;
+}
+console.log(f2(f1(0, "!", 0, 0), 1, 0, 0));
+`;
+  const single = await deobfuscate(source);
+  assert.match(single.code, /console\.log\(f2\("alpha!", 1, 0, 0\)\);/);
+
+  const { code, report } = await deobfuscate(source, { untilStable: true });
+  assert.match(code, /console\.log\("ALPHA!1"\);/);
+  assert.strictEqual(report.replacedCount, 2);
+  assert.deepStrictEqual(
+    report.passes.map(({ pass, changed, replacedCount }) => [pass, changed, replacedCount]),
+    [[1, true, 1], [2, true, 1], [3, false, 0]]
+  );
+});
+
+test('负数、特殊数值、BigInt、正则和数组结果写成对应的字面量，无法表示或过大的结果不替换', async () => {
+  const source = `
+function f1(k, b, c, d) {
+  switch (k) {
+    case 0: return -5;
+    case 1: return NaN;
+    case 2: return -Infinity;
+    case 3: return -0;
+    case 4: return 10n ** 20n;
+    case 5: return /a\\/b+/gi;
+    case 6: return [1, "x", [null], { "b-c": true }];
+    case 7: return new Map();
+    case 8: return Array.from({ length: 300 }, (_, i) => i);
+  }
+}
+console.log(f1(0, 0, 0, 0), f1(1, 0, 0, 0), f1(2, 0, 0, 0), f1(3, 0, 0, 0), f1(4, 0, 0, 0));
+console.log(f1(5, 0, 0, 0), f1(6, 0, 0, 0), f1(7, 0, 0, 0), f1(8, 0, 0, 0));
+`;
+  const { code, report } = await deobfuscate(source);
+  assert.match(code, /console\.log\(-5, 0 \/ 0, -\(1 \/ 0\), -0, 100000000000000000000n\);/);
+  assert.match(code, /console\.log\(\/a\\\/b\+\/gi, \[1, "x", \[null\], \{\n  "b-c": true\n\}\], f1\(7, 0, 0, 0\), f1\(8, 0, 0, 0\)\);/);
+  assert.deepStrictEqual(report.skippedReplacements, { unrepresentable: 1, oversized: 1, unawaited: 0 });
+});
+
+test('--verify fresh 不替换结果随机或依赖调用顺序的调用', async () => {
+  const source = `
+function f1(a, b, c, d) {
+  return "stable-" + a;
+}
+function f3(a, b, c, d) {
+  return a + "-" + Math.floor(Math.random() * 1e9);
+}
+function f5(a, b, c, d) {
+  if (a === 2 && !f5.ready) throw new Error("order");
+  f5.ready = true;
+  return "ok" + a;
+}
+console.log(f1(1, 0, 0, 0), f3(1, 0, 0, 0), f5(1, 0, 0, 0), f5(2, 0, 0, 0));
+`;
+  const { code, report, callResults } = await deobfuscate(source, { verify: 'fresh' });
+  assert.match(code, /console\.log\("stable-1", f3\(1, 0, 0, 0\), "ok1", f5\(2, 0, 0, 0\)\);/);
+  assert.deepStrictEqual(
+    callResults.map(item => [item.callExpression, item.status]),
+    [
+      ['f1(1, 0, 0, 0)', 'ok'],
+      ['f3(1, 0, 0, 0)', 'nondeterministic'],
+      ['f5(1, 0, 0, 0)', 'ok'],
+      ['f5(2, 0, 0, 0)', 'nondeterministic']
+    ]
+  );
+  assert.strictEqual(report.verification.unstable.length, 2);
+});
+
+test('browser 运行环境提供浏览器全局对象，覆盖配置按属性合并', async () => {
+  const source = `
+function f1(a, b, c, d) {
+  if (location.hostname !== "webfunny.cn") return "locked";
+  return atob(a) + "|" + btoa("hi") + "|" + navigator.language;
+}
+function f2(a, b, c, d) {
+  return typeof window + "," + typeof document + "," + typeof process;
+}
+console.log(f1("aGVsbG8=", 0, 0, 0), f2(0, 0, 0, 0));
+`;
+  const node = await deobfuscate(source);
+  assert.match(node.code, /console\.log\(f1\("aGVsbG8=", 0, 0, 0\), "undefined,undefined,object"\);/);
+
+  const browser = await deobfuscate(source, { env: 'browser' });
+  assert.match(browser.code, /console\.log\("locked", "object,object,undefined"\);/);
+
+  const overridden = await deobfuscate(source, {
+    env: 'browser',
+    envOverrides: { location: { hostname: 'webfunny.cn' } }
+  });
+  assert.match(overridden.code, /console\.log\("hello\|aGk=\|zh-CN", "object,object,undefined"\);/);
+});
+
+test('覆盖 location.hostname 或 href 之后 href、host、origin 和 document.domain 随之改变', async () => {
+  const source = `
+function f1(a, b, c, d) {
+  return [location.href, location.host, location.origin, document.domain].join(" ");
+}
+console.log(f1(0, 0, 0, 0));
+`;
+  const hostname = await deobfuscate(source, {
+    env: 'browser',
+    envOverrides: { location: { hostname: 'webfunny.cn' } }
+  });
+  assert.match(hostname.code, /console\.log\("https:\/\/webfunny\.cn\/ webfunny\.cn https:\/\/webfunny\.cn webfunny\.cn"\);/);
+
+  const href = await deobfuscate(source, {
+    env: 'browser',
+    envOverrides: { location: { href: 'http://a.example:8080/p?x=1#h' } }
+  });
+  assert.match(href.code, /console\.log\("http:\/\/a\.example:8080\/p\?x=1#h a\.example:8080 http:\/\/a\.example:8080 a\.example"\);/);
+});
+
+test('await 的异步解密函数调用替换为完成后的值，没有 await 的调用和未完成的 Promise 保持原样', async () => {
+  const source = `
+async function f1(a, b, c, d) {
+  return String.fromCharCode(a + b, c + d);
+}
+function f2(a, b, c, d) {
+  return Promise.resolve(a * b + c * d);
+}
+function f3(a, b, c, d) {
+  return new Promise(resolve => setTimeout(() => resolve(a), 10));
+}
+class UserController {
+  async index(ctx) {
+    const name = await f1(50, 50, 60, 60);
+    const total = (await f2(1, 2, 3, 4)) + 1;
+    const pending = await f3(1, 2, 3, 4);
+    ctx.body = [name, total, pending, f1(51, 50, 60, 60)];
+  }
+}
+module.exports = UserController;
+`;
+  const { code, report, callResults } = await deobfuscate(source);
+  assert.strictEqual(report.skippedReplacements.unawaited, 1);
+  assert.match(code, /const name = "dx";\n    const total = 14 \+ 1;\n    const pending = await f3\(1, 2, 3, 4\);/);
+  assert.match(code, /ctx\.body = \[name, total, pending, f1\(51, 50, 60, 60\)\];/);
+  assert.deepStrictEqual(
+    callResults.map(item => [item.callExpression, item.status]),
+    [
+      ['f1(50, 50, 60, 60)', 'ok'],
+      ['f2(1, 2, 3, 4)', 'ok'],
+      ['f3(1, 2, 3, 4)', 'threw'],
+      ['f1(51, 50, 60, 60)', 'ok']
+    ]
+  );
+});
+
+test('类方法、getter 和对象方法中的箭头包装函数调用同样执行，try 和 do-while 中的调用照常替换', async () => {
+  const source = `
+function f21(a, b) {
+  return String.fromCharCode(a) + b;
+}
+class Service {
+  static run(ctx) {
+    const f53 = (a, b, c, d) => f21(a + 64, b);
+    try {
+      ctx.body = f53(1, "!", 0, 0);
+    } catch (e) {
+      ctx.body = null;
+    }
+  }
+  get label() {
+    const f54 = (a, b, c, d) => f21(a, "?");
+    return f54(66, 0, 0, 0);
+  }
+}
+const api = {
+  list() {
+    const f55 = (a, b, c, d) => f21(a, "");
+    let i = 0;
+    do {
+      i++;
+    } while (f55(67, 0, 0, 0) !== "C");
+    return i;
+  }
+};
+module.exports = { Service, api };
+`;
+  const { code } = await deobfuscate(source);
+  assert.match(code, /try \{\n      ctx\.body = "A!";/);
+  assert.match(code, /return "B\?";/);
+  assert.match(code, /\} while \("C" !== "C"\);/);
+});
+
+test('嵌套的解密函数连同闭包中的局部声明一起提取，依赖可变局部变量或参数的调用不替换', async () => {
+  const source = `
+function f21(a, b) {
+  return String.fromCharCode(a) + b;
+}
+function f47(p1008) {
+  const vA = ["alpha", "beta", "gamma"];
+  const vOffset = 100;
+  let vCount = 0;
+  const vTable = vA.map(s => s.toUpperCase());
+  function f48(p1010, p1011, p1012, p1013) {
+    return vA[p1010 - vOffset] + f21(p1013 - -939, p1011);
+  }
+  const f49 = (p1, p2, p3, p4) => vTable[p1] + vOffset;
+  function f50(p1, p2, p3, p4) {
+    vCount++;
+    return vCount + p1;
+  }
+  function f52(p1, p2, p3, p4) {
+    return p1008 + p1;
+  }
+  return [f48(101, "!", 0, -874), f49(2, 0, 0, 0), f50(1, 2, 3, 4), f52(1, 2, 3, 4)];
+}
+class Service {
+  static run() {
+    const vKey = "k";
+    const f53 = (a, b, c, d) => vKey + a + vHelper(b);
+    function vHelper(x) {
+      return x * 2;
+    }
+    return f53(1, 2, 3, 4);
+  }
+  static other() {
+    const vKey = "other";
+    const f54 = (a, b, c, d) => vKey + a;
+    return f54(1, 2, 3, 4);
+  }
+}
+module.exports = { f47, Service };
+`;
+  const { code, callResults } = await deobfuscate(source);
+  assert.match(code, /return \["betaA!", "GAMMA100", f50\(1, 2, 3, 4\), f52\(1, 2, 3, 4\)\];/);
+  assert.match(code, /return "k14";/);
+  assert.match(code, /return "other1";/);
+  assert.deepStrictEqual(
+    callResults.filter(item => item.status !== 'ok').map(item => [item.callExpression, item.error]),
+    [
+      ['f50(1, 2, 3, 4)', 'vCount is not defined'],
+      ['f52(1, 2, 3, 4)', 'p1008 is not defined']
+    ]
+  );
+});
+
+test('各种引号和 Array.from、展开形式的字符串反序都按语法树还原，并保留转义', async () => {
+  const source = [
+    "const EMPTY = '';",
+    'var a = "olleh".split("").reverse().join("");',
+    "var b = 'dlrow'.split('').reverse().join('');",
+    'var c = `etalpmet`.split(``).reverse().join(``);',
+    'var d = "\\"detouq\\" a".split("").reverse().join("");',
+    'var e = \'x\\\\y\\n\'.split("").reverse().join("");',
+    'var f = Array.from("文中").reverse().join("");',
+    'var g = [..."😀ba"].reverse().join("");',
+    'var h = "olleh"["split"]("")["reverse"]()["join"](EMPTY);',
+    'var k = x.split("").reverse().join("");',
+    'var l = "abc".split(",").reverse().join("");',
+    'function f1(s) { return s + "!"; }',
+    'console.log(f1("cba".split("").reverse().join("")));'
+  ].join('\n');
+  const { code, report } = await deobfuscate(source);
+  assert.match(code, /var a = "hello";\nvar b = "world";\nvar c = "template";/);
+  assert.match(code, /var d = "a \\"quoted\\"";\nvar e = "\\ny\\\\x";/);
+  assert.match(code, /var f = "中文";\nvar g = "ab😀";\nvar h = "hello";/);
+  assert.match(code, /var k = x\.split\(""\)\.reverse\(\)\.join\(""\);\nvar l = "abc"\.split\(","\)\.reverse\(\)\.join\(""\);/);
+  assert.match(code, /console\.log\("abc!"\);/);
+  assert.deepStrictEqual(report.reversedStrings[0], { line: 2, column: 9, value: 'hello' });
+  assert.strictEqual(report.reversedStrings.length, 9);
+});
+
+test('字面量输入的字符串内置方法、拼接和解码在预处理时折叠，白名单之外和被遮蔽的调用保持原样', async () => {
+  const source = `
+var a = String.fromCharCode(104, 105);
+var b = "abc".charAt(1) + "abc".charCodeAt(0);
+var c = "x".concat("y", 1);
+var d = "a,b,c".split(",")[1];
+var e = atob("aGk=");
+var f = decodeURIComponent("%E4%B8%AD%41");
+var h = "a" + "b" + 1 + 2;
+var i = 1 + 2 + "a";
+var j = "abc".length + "abc"[2] + "abc".slice(-2) + "abc".indexOf("z");
+var k = decodeURIComponent("%E4");
+var l = "abc".repeat(3);
+var m = x + "a" + "b";
+function g1(atob) { return atob("aGk="); }
+var n = "olleh".split("").reverse().join("") + "!";
+var o = "abc"[5];
+function f1(s) { return s + "?"; }
+console.log(f1(String.fromCharCode(65) + "B"));
+`;
+  const { code } = await deobfuscate(source);
+  assert.match(code, /var a = "hi";\nvar b = "b97";\nvar c = "xy1";\nvar d = "b";\nvar e = "hi";\nvar f = "中A";\nvar h = "ab12";/);
+  assert.match(code, /var j = "3cbc-1";\nvar k = decodeURIComponent\("%E4"\);\nvar l = "abc"\.repeat\(3\);\nvar m = x \+ "a" \+ "b";/);
+  assert.match(code, /return atob\("aGk="\);/);
+  assert.match(code, /var n = "hello!";\nvar o = "abc"\[5\];/);
+  assert.match(code, /console\.log\("AB\?"\);/);
+});
+
+test('死代码删除保留原本就为空的顶层函数，只删除变成空操作的函数', async () => {
+  const source = `
+function f0() {}
+function f3(p6, p7) {
+  if (true != false) {
+    return;
+  }
+  f3 = function (p8, p9) {
+    return p8;
+  };
+  return f3(p6, p7);
+}
+f3(1, 2);
+console.log("done");
+`;
+  const { code, report } = await deobfuscate(source);
+  assert.deepStrictEqual(report.deadCode.removedFunctions, ['f3']);
+  assert.match(code, /function f0\(\) \{\}/);
+  assert.doesNotMatch(code, /f3/);
+});
+
+test('跳转之后仍被提升的函数引用的 let、const、class 声明保留，其他语句删除', async () => {
+  const source = `
+function f1(a, b, c, d) {
+  return ["x"][a];
+}
+function run() {
+  if (f1(0, 0, 0, 0) === "x") {
+    return g;
+  }
+  return null;
+  function g() {
+    return typeof C + K;
+  }
+  class C {}
+  const K = 1;
+  let unused = 2;
+  foo();
+}
+console.log(run());
+`;
+  const { code, report } = await deobfuscate(source);
+  assert.match(code, /return g;\n  function g\(\) \{\n    return typeof C \+ K;\n  \}\n  class C \{\}\n  const K = 1;\n\}/);
+  assert.strictEqual(report.deadCode.removedStatements, 3);
+});
+
+test('sourceMap 为 true 时返回多轮处理后映射回最初输入的 source map', async () => {
+  const source = `function f1(a, b, c, d) {
+  return ["alpha", "beta"][a] + b;
+}
+function f2(a, b, c, d) {
+  return a.toUpperCase() + b;
+}
+console.log(f2(f1(0, "!", 0, 0), 1, 0, 0));
+`;
+  const { code, map } = await deobfuscate(source, { sourceMap: true, untilStable: true, sourceFileName: 'input.js' });
+  assert.match(code, /console\.log\("ALPHA!1"\);/);
+  assert.strictEqual(map.version, 3);
+  assert.deepStrictEqual(map.sources, ['input.js']);
+  assert.deepStrictEqual(map.sourcesContent, [source]);
+  assert.strictEqual(map.mappings.split(';').length, code.split('\n').length);
+
+  const unchanged = await deobfuscate('var a = 1;', { sourceMap: true });
+  assert.strictEqual(unchanged.map, null);
+});
+
+test('调用报告按轮次和绑定汇总，后续轮次的调用位置映射回输入文件', async () => {
+  const source = `function f1(a, b, c, d) {
+  if (a > 5) throw new Error("bad " + a);
+  return ["alpha", "beta"][a] + b;
+}
+function f2(a, b, c, d) {
+  return a.toUpperCase() + b;
+}
+console.log(f2(f1(0, "!", 0, 0), 1, 0, 0), f1(9, 0, 0, 0));
+`;
+  const result = await deobfuscate(source, { untilStable: true, sourceMap: true });
+  const { summary, passes, functions, calls } = buildCallReport(result, 'input.js');
+
+  assert.deepStrictEqual(
+    [summary.passes, summary.functions, summary.calls, summary.replaced, summary.skipped],
+    [3, 2, 5, 2, 3]
+  );
+  assert.deepStrictEqual(summary.skipReasons, { threw: 3 });
+  assert.deepStrictEqual(
+    passes.map(({ pass, calls, replaced }) => [pass, calls, replaced]),
+    [[1, 2, 1], [2, 2, 1], [3, 1, 0]]
+  );
+  assert.deepStrictEqual(
+    functions.map(({ binding, declaration, calls, replaced }) => [binding, declaration, calls, replaced]),
+    [['f1', { line: 1, column: 10 }, 4, 1], ['f2', { line: 5, column: 10 }, 1, 1]]
+  );
+  assert.deepStrictEqual(
+    calls.map(({ pass, line, column, callExpression, status }) => [pass, line, column, callExpression, status]),
+    [
+      [1, 8, 16, 'f1(0, "!", 0, 0)', 'ok'],
+      [1, 8, 44, 'f1(9, 0, 0, 0)', 'threw'],
+      [2, 8, 13, 'f2("alpha!", 1, 0, 0)', 'ok'],
+      [2, 8, 44, 'f1(9, 0, 0, 0)', 'threw'],
+      [3, 8, 44, 'f1(9, 0, 0, 0)', 'threw']
+    ]
+  );
+  assert.strictEqual(calls[1].error, 'bad 9');
+});
+
+test('沙箱初始化失败时仍然输出预处理和包装函数内联的结果，错误记录在 report.execution 中', async () => {
+  const source = `
+function f29() {
+  var vA = ["zero", "one", "two"];
+  f29 = function () {
+    return vA;
+  };
+  return f29();
+}
+function f30(p, p2) {
+  var vF29 = f29();
+  f30 = function (p3, p4) {
+    p3 = p3 - 20;
+    return vF29[p3];
+  };
+  return f30(p, p2);
+}
+function f4(a, b, c, d, e) {
+  return f30(e - 928, c);
+}
+console.log("olleh".split("").reverse().join(""), f4(1, 0, 0, 0, 949));
+(function () {
+  throw new Error("boom");
+})(f29);
+`;
+  const { code, report, callResults } = await deobfuscate(source);
+  assert.strictEqual(report.execution.status, 'setup-failed');
+  assert.strictEqual(report.execution.error, 'boom');
+  assert.strictEqual(report.skippedReason, '测试代码执行失败');
+  assert.match(code, /console\.log\("hello", f30\(21, 0\)\);/);
+  assert.doesNotMatch(code, /function f4/);
+  assert.deepStrictEqual(callResults.map(({ callExpression, status }) => [callExpression, status]), [['f30(21, 0)', 'setup-failed']]);
+});
+
+test('调用报告按源代码名称和声明位置区分同名函数，初始化失败时列出调用点', async () => {
+  const source = `function f4(a, b, c, d) { return "outer" + a; }
+function g() {
+  function f4(a, b, c, d) { return "inner" + a; }
+  return f4(1, 0, 0, 0);
+}
+console.log(f4(1, 0, 0, 0), g());
+`;
+  const { functions } = buildCallReport(await deobfuscate(source), 'input.js');
+  assert.deepStrictEqual(
+    functions.map(({ binding, declaration, calls }) => [binding, declaration, calls]),
+    [['f4', { line: 1, column: 10 }, 1], ['f4', { line: 3, column: 12 }, 1]]
+  );
+
+  const failing = `${source}(function () { throw new Error("boom"); })(f4);\n`;
+  const result = await deobfuscate(failing);
+  assert.strictEqual(result.report.execution.status, 'setup-failed');
+  const { summary, calls } = buildCallReport(result, 'input.js');
+  assert.deepStrictEqual(summary.statusCounts, { 'setup-failed': 2 });
+  assert.deepStrictEqual(summary.skipReasons, { 'setup-failed': 2 });
+  assert.deepStrictEqual(calls.map(({ callExpression, error }) => [callExpression, error]), [
+    ['f4(1, 0, 0, 0)', 'boom'],
+    ['f4(1, 0, 0, 0)', 'boom']
+  ]);
+});
@@ -0,0 +1,207 @@
+/**
+ * 沙箱逃逸测试：已知的逃逸写法都不能在沙箱中拿到本进程的 process
+ *
+ * 每个用例把逃逸写法放在解密函数 f1 中：拿到 pid 与本进程相同的 process 时在本机写入标记文件并返回 'escaped'，
+ * 否则返回拿到的对象的 pid（'pid:1' 为运行环境的 process 模拟对象），没有拿到时返回 'null'。
+ * 逃逸写法抛出的异常不捕获，调用状态和错误信息都要与预期完全一致
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { deobfuscate } = require('../lib/deobfuscate');
+
+const HOST_PID = process.pid;
+const MARKER_FILE = path.join(os.tmpdir(), `dejs-escape-${HOST_PID}.marker`);
+
+/**
+ * 生成测试代码：payload 为返回候选 process 的函数体（可以返回 Promise）
+ * @param {string} payload - 函数体
+ * @returns {string} - 源代码
+ */
+function buildSource(payload) {
+  return `
+async function f1(a, b, c, d) {
+  const p = await (function () { ${payload} }).call(this);
+  if (p && p.pid === ${HOST_PID}) {
+    p.getBuiltinModule('fs').writeFileSync(${JSON.stringify(MARKER_FILE)}, 'escaped');
+    return 'escaped';
+  }
+  return p ? 'pid:' + p.pid : String(p);
+}
+f1(1, 2, 3, 4).then(console.log);
+`;
+}
+
+/**
+ * 处理测试代码并返回 f1(1, 2, 3, 4) 的执行结果
+ * @param {string} source - 源代码
+ * @param {Object} [options] - 配置
+ * @returns {Promise<Object>} - 调用点的执行结果
+ */
+async function runDecoder(source, options = {}) {
+  const { callResults } = await deobfuscate(source, options);
+  const callResult = callResults.find(item => item.callExpression === 'f1(1, 2, 3, 4)');
+  assert.ok(callResult, '没有执行 f1(1, 2, 3, 4)');
+  return callResult;
+}
+
+const PAYLOADS = {
+  '全局对象的 constructor': `return this.constructor.constructor('return process')();`,
+  'globalThis 的 constructor': `return globalThis.constructor.constructor('return process')();`,
+  '全局对象的原型': `return Object.getPrototypeOf(globalThis).constructor.constructor('return process')();`,
+  'console 的方法': `return console.log.constructor('return process')();`,
+  '结果存储': `return globalResults.constructor.constructor('return process')();`,
+  '调用日志': `return globalCallLog.constructor.constructor('return process')();`,
+  '跟踪日志': `return globalTraceLog.push.constructor('return process')();`,
+  '内置对象 Date、Map、JSON': `
+    return Date.constructor('return process')() ||
+      Map.constructor('return process')() ||
+      JSON.parse.constructor('return process')();
+  `,
+  '调用方函数': `
+    let caller = arguments.callee.caller;
+    while (caller) {
+      const p = caller.constructor('return process')();
+      if (p) return p;
+      caller = caller.caller;
+    }
+    return null;
+  `,
+  '异常堆栈的 CallSite': `
+    const original = Error.prepareStackTrace;
+    let sites = [];
+    Error.prepareStackTrace = (error, stack) => stack;
+    try {
+      sites = new Error().stack;
+    } finally {
+      Error.prepareStackTrace = original;
+    }
+    for (const site of Array.isArray(sites) ? sites : []) {
+      const candidate = site.getThis() || site.getFunction();
+      if (candidate && candidate.constructor) {
+        const p = candidate.constructor.constructor('return process')();
+        if (p) return p;
+      }
+    }
+    return null;
+  `,
+  '异步回调': `
+    return Promise.resolve().then(function () { return this.constructor.constructor('return process')(); });
+  `
+};
+
+/**
+ * 各运行环境下每个逃逸写法的预期结果：node 环境只能拿到 process 模拟对象，bare 环境中没有 process
+ */
+const EXPECTED = {
+  node: { status: 'ok', value: 'pid:1', error: undefined },
+  bare: { status: 'threw', value: undefined, error: 'process is not defined' }
+};
+
+for (const [env, expected] of Object.entries(EXPECTED)) {
+  for (const [name, payload] of Object.entries(PAYLOADS)) {
+    test(`逃逸写法被阻止（${env}）: ${name}`, async () => {
+      fs.rmSync(MARKER_FILE, { force: true });
+      const callResult = await runDecoder(buildSource(payload), { env });
+      assert.deepStrictEqual(
+        { status: callResult.status, value: callResult.value, error: callResult.error },
+        expected
+      );
+      assert.strictEqual(fs.existsSync(MARKER_FILE), false, '沙箱中的代码在本机写入了文件');
+    });
+  }
+}
+
+test('抛出带 getter 的对象时本线程不执行沙箱中的代码', async () => {
+  const source = `
+function f1(a, b, c, d) {
+  throw {
+    get message() {
+      const p = this.constructor.constructor('return process')();
+      if (p && p.pid === ${HOST_PID}) {
+        p.exitCode = 42;
+      }
+      return 'getter';
+    }
+  };
+}
+console.log(f1(1, 2, 3, 4));
+`;
+  const callResult = await runDecoder(source);
+  assert.strictEqual(callResult.status, 'threw');
+  assert.notStrictEqual(process.exitCode, 42);
+});
+
+test('初始化步骤抛出带 getter 的对象时本线程不执行沙箱中的代码', async () => {
+  fs.rmSync(MARKER_FILE, { force: true });
+  const source = `
+function f1(a, b, c, d) {
+  return "v" + a;
+}
+(function (p) {
+  throw {
+    get message() {
+      const original = Error.prepareStackTrace;
+      let sites = [];
+      Error.prepareStackTrace = (error, stack) => stack;
+      try {
+        sites = new Error().stack;
+      } finally {
+        Error.prepareStackTrace = original;
+      }
+      for (const site of Array.isArray(sites) ? sites : []) {
+        for (const candidate of [site.getThis(), site.getFunction()]) {
+          try {
+            const proc = candidate.constructor.constructor('return process')();
+            if (proc && proc.pid === ${HOST_PID}) {
+              proc.getBuiltinModule('fs').writeFileSync(${JSON.stringify(MARKER_FILE)}, 'escaped');
+              return 'escaped';
+            }
+          } catch (e) {}
+        }
+      }
+      return 'getter';
+    }
+  };
+})(f1);
+console.log(f1(1, 0, 0, 0));
+`;
+  const { report } = await deobfuscate(source);
+  assert.strictEqual(report.execution.status, 'setup-failed');
+  assert.strictEqual(report.execution.error, 'getter');
+  assert.strictEqual(fs.existsSync(MARKER_FILE), false, '沙箱中的代码在本机写入了文件');
+});
+
+test('结果为 Proxy 时处理不中断', async () => {
+  const source = `
+function f1(a, b, c, d) {
+  const trap = function () { throw new Error('trap'); };
+  // safeCall 读取 then 判断结果是否是 Promise，其他读取都抛出异常
+  const get = function (target, key) { return key === 'then' ? undefined : trap(); };
+  return new Proxy({}, { get: get, ownKeys: trap, getPrototypeOf: trap, getOwnPropertyDescriptor: trap, has: trap });
+}
+console.log(f1(1, 2, 3, 4));
+`;
+  const { code, callResults } = await deobfuscate(source);
+  assert.strictEqual(code, source);
+  assert.strictEqual(callResults[0].status, 'ok');
+});
+
+test('codeGeneration 为 false 时禁止 eval 和 new Function', async () => {
+  const source = `
+function f1(a, b, c, d) {
+  const results = [];
+  try { results.push(eval('1 + 1')); } catch (e) { results.push(e.name); }
+  try { results.push(new Function('return 2')()); } catch (e) { results.push(e.name); }
+  return results.join(',');
+}
+console.log(f1(1, 2, 3, 4));
+`;
+  const allowed = await runDecoder(source);
+  assert.strictEqual(allowed.value, '2,2');
+  const disallowed = await runDecoder(source, { codeGeneration: false });
+  assert.strictEqual(disallowed.value, 'EvalError,EvalError');
+});
@@ -0,0 +1,66 @@
+/**
+ * 沙箱执行测试：单步超时的判定和调用之间的全局状态隔离
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { deobfuscate } = require('../lib/deobfuscate');
+
+test('死循环的解密函数调用状态为 timeout', async () => {
+  const source = `
+function f1(a, b, c, d) {
+  while (true) {}
+}
+console.log(f1(1, 2, 3, 4));
+`;
+  const { code, report, callResults } = await deobfuscate(source, { callTimeout: 100 });
+  assert.strictEqual(callResults.length, 1);
+  assert.strictEqual(callResults[0].status, 'timeout');
+  assert.strictEqual(callResults[0].error, '执行超时 (100ms)');
+  assert.strictEqual(report.statusCounts.timeout, 1);
+  assert.strictEqual(report.execution.timeoutCount, 1);
+  assert.strictEqual(code, source);
+});
+
+test('isolation 为 globals 时一个调用创建的全局变量在下一个调用中不存在', async () => {
+  const source = `
+function f4(a, b, c, d) {
+  const before = typeof __n;
+  globalThis.__n = (globalThis.__n || 0) + 1;
+  return before + ":" + __n;
+}
+console.log(f4(1, 0, 0, 0), f4(2, 0, 0, 0));
+`;
+  const { code, callResults } = await deobfuscate(source);
+  assert.deepStrictEqual(callResults.map(item => item.value), ['undefined:1', 'undefined:1']);
+  assert.match(code, /console\.log\("undefined:1", "undefined:1"\)/);
+});
+
+test('isolation 为 globals 时被重新赋值的全局函数在下一个调用前恢复', async () => {
+  const source = `
+function f5(a, b, c, d) {
+  const value = "first:" + a;
+  f5 = function () { return "redefined"; };
+  return value;
+}
+console.log(f5(1, 0, 0, 0), f5(2, 0, 0, 0));
+`;
+  const { callResults } = await deobfuscate(source);
+  assert.deepStrictEqual(callResults.map(item => item.value), ['first:1', 'first:2']);
+});
+
+test('isolation 为 globals 时被原地修改的全局数组在下一个调用前恢复，结果与 fresh 一致', async () => {
+  const source = `
+var arr = ["a", "b", "c", "d"];
+function f4(a, b, c, d) {
+  arr.push(arr.shift());
+  return arr[a];
+}
+console.log(f4(0, 0, 0, 0), f4(1, 0, 0, 0), f4(2, 0, 0, 0));
+`;
+  const globals = await deobfuscate(source);
+  const fresh = await deobfuscate(source, { isolation: 'fresh' });
+  assert.deepStrictEqual(globals.callResults.map(item => item.value), ['b', 'c', 'd']);
+  assert.deepStrictEqual(fresh.callResults.map(item => item.value), ['b', 'c', 'd']);
+  assert.match(globals.code, /console\.log\("b", "c", "d"\)/);
+});